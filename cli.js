@@ -0,0 +1,200 @@
+// cli.js
+import { mkdir, readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { watch } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import Chastity from './index.js';
+import { conformance, formatReport } from './conformance.js';
+
+const USAGE = `Usage:
+  chastity [input] [options]     convert a file, a directory of .md files, or stdin
+  chastity help [feature]        describe the registered features
+  chastity conformance           check the features against the bundled spec examples
+
+Options:
+  -o, --out <path>       output file, or output directory for a directory input
+      --preset <name>    start from a feature set: full, commonmark, gfm, minimal or comments
+      --features <list>  comma-separated features to keep, all others are removed
+      --disable <list>   comma-separated features to remove
+      --plugin <file>    module whose default export is a feature or bundle of features
+      --safe             escape raw HTML and restrict URL schemes
+      --trace            report what every feature matched on stderr
+      --failures         with conformance, also show every failing example
+  -w, --watch            rebuild when the input changes
+  -h, --help             show this message
+`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  preset: { type: 'string' },
+  features: { type: 'string' },
+  disable: { type: 'string' },
+  plugin: { type: 'string', multiple: true },
+  safe: { type: 'boolean' },
+  trace: { type: 'boolean' },
+  failures: { type: 'boolean' },
+  watch: { type: 'boolean', short: 'w' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Resolves to the exit code; in watch mode only once the signal aborts
+export async function run(argv = process.argv.slice(2), io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    cwd = process.cwd(),
+    signal
+  } = io;
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    stderr.write(`chastity: ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (values.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    const md = await createParser(values, cwd);
+
+    if (positionals[0] === 'help') {
+      return help(md, positionals[1], { stdout, stderr });
+    }
+    if (positionals[0] === 'conformance') {
+      stdout.write(formatReport(await conformance(md), { failures: values.failures }));
+      return 0;
+    }
+
+    const options = values.trace ? { trace: true } : {};
+    // Traces go to stderr, colored when that is a terminal
+    const trace = () => {
+      if (!values.trace) return;
+      md.tty = Boolean(stderr.isTTY);
+      stderr.write(md.debug());
+    };
+
+    const [input] = positionals;
+    if (!input || input === '-') {
+      // Output follows the input block by block, so piped text shows up as it arrives
+      for await (const html of md.parseStream(stdin, options)) stdout.write(html);
+      trace();
+      return 0;
+    }
+
+    const source = resolve(cwd, input);
+    const target = values.out ? resolve(cwd, values.out) : null;
+    const directory = (await stat(source)).isDirectory();
+    const report = (file) => stderr.write(`${relative(cwd, file)}\n`);
+
+    const build = async (file) => {
+      if (!directory) {
+        const html = md.parse(await readFile(source, 'utf-8'), options);
+        trace();
+        if (!target) return stdout.write(html);
+        await writeFile(target, html);
+        return report(target);
+      }
+      const files = file ? [file] : await findMarkdown(source);
+      for (const path of files) {
+        const output = join(target || source, relative(source, path)).replace(/\.md$/, '.html');
+        await mkdir(dirname(output), { recursive: true });
+        await writeFile(output, md.parse(await readFile(path, 'utf-8'), options));
+        report(output);
+        trace();
+      }
+    };
+
+    await build();
+    if (values.watch) await rebuildOnChange(source, directory, build, { stderr, signal });
+    return 0;
+  } catch (error) {
+    stderr.write(`chastity: ${error.message}\n`);
+    return 1;
+  }
+}
+
+async function createParser(values, cwd) {
+  const md = new Chastity({ safe: Boolean(values.safe), preset: values.preset });
+
+  for (const plugin of values.plugin || []) {
+    const module = await import(pathToFileURL(resolve(cwd, plugin)).href);
+    const features = [].concat(module.default);
+    if (!features.length || features.some(feature => !feature)) {
+      throw new Error(`Plugin '${plugin}' has no default export`);
+    }
+    md.use(features);
+  }
+
+  if (values.features) {
+    const keep = featureList(md, values.features);
+    md.list().filter(name => !keep.includes(name)).forEach(name => md.unregister(name));
+  }
+  if (values.disable) {
+    featureList(md, values.disable).forEach(name => md.unregister(name));
+  }
+
+  return md;
+}
+
+function featureList(md, list) {
+  const names = list.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.find(name => !md.transforms.has(name));
+  if (unknown) {
+    throw new Error(`Feature '${unknown}' not found`);
+  }
+  return names;
+}
+
+// Colored output on a terminal, markdown when piped
+function help(md, featureName, { stdout, stderr }) {
+  if (featureName && !md.transforms.has(featureName)) {
+    stderr.write(`chastity: Feature '${featureName}' not found\n`);
+    return 1;
+  }
+  if (stdout.isTTY) {
+    md.tty = true;
+    md.help(featureName);
+  } else {
+    stdout.write(`${md.help(featureName)}\n`);
+  }
+  return 0;
+}
+
+async function findMarkdown(directory) {
+  const files = [];
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) files.push(...await findMarkdown(path));
+    else if (entry.name.endsWith('.md')) files.push(path);
+  }
+  return files.sort();
+}
+
+function rebuildOnChange(source, directory, build, { stderr, signal }) {
+  return new Promise(done => {
+    const pending = new Map();
+    const watcher = watch(source, { recursive: directory, signal });
+    watcher.on('change', (event, filename) => {
+      if (directory && !String(filename).endsWith('.md')) return;
+      const file = directory ? join(source, String(filename)) : null;
+      // Editors often write a file several times in a row
+      clearTimeout(pending.get(file));
+      pending.set(file, setTimeout(() => {
+        pending.delete(file);
+        build(file).catch(error => stderr.write(`chastity: ${error.message}\n`));
+      }, 50));
+    });
+    watcher.on('close', () => {
+      pending.forEach(timer => clearTimeout(timer));
+      done();
+    });
+  });
+}
@@ -0,0 +1,192 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { run } from './cli.js';
+
+const output = () => ({ data: '', write(chunk) { this.data += chunk; } });
+
+describe('Chastity CLI', () => {
+  let cwd, stdout, stderr;
+
+  const chastity = (argv, io = {}) => run(argv, { cwd, stdout, stderr, ...io });
+
+  beforeEach(async () => {
+    cwd = await mkdtemp(join(tmpdir(), 'chastity-'));
+    stdout = output();
+    stderr = output();
+  });
+
+  afterEach(async () => {
+    await rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('Input', () => {
+    test('should convert stdin to stdout', async () => {
+      const code = await chastity([], { stdin: Readable.from(['# Hello']) });
+      assert.strictEqual(code, 0);
+      assert.strictEqual(stdout.data, '<h1 id="hello">Hello</h1>');
+    });
+
+    test('should read stdin for -', async () => {
+      await chastity(['-'], { stdin: Readable.from(['**x**']) });
+      assert.strictEqual(stdout.data, '<p><strong>x</strong></p>');
+    });
+
+    test('should convert a file to stdout', async () => {
+      await writeFile(join(cwd, 'a.md'), '*hi*');
+      await chastity(['a.md']);
+      assert.strictEqual(stdout.data, '<p><em>hi</em></p>');
+    });
+
+    test('should write a file to --out', async () => {
+      await writeFile(join(cwd, 'a.md'), '*hi*');
+      await chastity(['a.md', '--out', 'a.html']);
+      assert.strictEqual(await readFile(join(cwd, 'a.html'), 'utf-8'), '<p><em>hi</em></p>');
+      assert.strictEqual(stdout.data, '');
+    });
+
+    test('should mirror a directory tree into --out', async () => {
+      await mkdir(join(cwd, 'docs/guide'), { recursive: true });
+      await writeFile(join(cwd, 'docs/index.md'), '# Index');
+      await writeFile(join(cwd, 'docs/guide/start.md'), '# Start');
+      await writeFile(join(cwd, 'docs/notes.txt'), 'skip me');
+
+      const code = await chastity(['docs', '-o', 'site']);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(await readFile(join(cwd, 'site/index.html'), 'utf-8'), '<h1 id="index">Index</h1>');
+      assert.strictEqual(await readFile(join(cwd, 'site/guide/start.html'), 'utf-8'), '<h1 id="start">Start</h1>');
+      assert.ok(!existsSync(join(cwd, 'site/notes.txt')));
+      assert.ok(!existsSync(join(cwd, 'site/notes.html')));
+    });
+
+    test('should write next to the sources without --out', async () => {
+      await mkdir(join(cwd, 'docs'));
+      await writeFile(join(cwd, 'docs/a.md'), 'a');
+      await chastity(['docs']);
+      assert.strictEqual(await readFile(join(cwd, 'docs/a.html'), 'utf-8'), '<p>a</p>');
+    });
+
+    test('should report a missing input', async () => {
+      const code = await chastity(['missing.md']);
+      assert.strictEqual(code, 1);
+      assert.ok(stderr.data.includes('chastity:'));
+    });
+  });
+
+  describe('Features', () => {
+    test('should disable features', async () => {
+      await chastity(['--disable', 'bold,italic'], { stdin: Readable.from(['**a** *b*']) });
+      assert.strictEqual(stdout.data, '<p>**a** *b*</p>');
+    });
+
+    test('should keep only the listed features', async () => {
+      await chastity(['--features', 'headers'], { stdin: Readable.from(['# **a**\n\ntext']) });
+      assert.strictEqual(stdout.data, '<h1 id="a">**a**</h1>\n\ntext');
+    });
+
+    test('should reject unknown features', async () => {
+      const code = await chastity(['--disable', 'nope'], { stdin: Readable.from(['']) });
+      assert.strictEqual(code, 1);
+      assert.ok(stderr.data.includes("Feature 'nope' not found"));
+    });
+
+    test('should load plugins', async () => {
+      // A .js plugin is an ES module by its package.json, not by its syntax
+      await writeFile(join(cwd, 'package.json'), '{ "type": "module" }');
+      await writeFile(join(cwd, 'highlight.js'), `export default {
+        name: 'highlight',
+        description: 'Highlight',
+        usage: '==text==',
+        pattern: '==(?<text>[^=]+)==',
+        replacement: ({ text }) => '<mark>' + text + '</mark>'
+      };`);
+      await chastity(['--plugin', './highlight.js'], { stdin: Readable.from(['==hi==']) });
+      assert.strictEqual(stdout.data, '<p><mark>hi</mark></p>');
+    });
+
+    test('should load arrays of features from a plugin', async () => {
+      await writeFile(join(cwd, 'pair.mjs'), `export default [
+        { name: 'one', pattern: '1', replacement: () => 'one' },
+        { name: 'two', pattern: '2', replacement: () => 'two' }
+      ];`);
+      await chastity(['--plugin', 'pair.mjs'], { stdin: Readable.from(['1 2']) });
+      assert.strictEqual(stdout.data, '<p>one two</p>');
+    });
+
+    test('should start from a preset', async () => {
+      await chastity(['--preset', 'minimal'], { stdin: Readable.from(['# **a**']) });
+      assert.strictEqual(stdout.data, '# <strong>a</strong>');
+      assert.strictEqual(await chastity(['--preset', 'nope'], { stdin: Readable.from(['']) }), 1);
+      assert.ok(stderr.data.includes('Preset must be one of: full, commonmark, gfm, minimal, comments'));
+    });
+
+    test('should trace to stderr', async () => {
+      await chastity(['--trace'], { stdin: Readable.from(['**x**']) });
+      assert.strictEqual(stdout.data, '<p><strong>x</strong></p>');
+      assert.ok(stderr.data.includes('# Chastity Parse Trace'));
+      assert.ok(stderr.data.includes('| bold | 1 |'));
+    });
+
+    test('should enable safe mode', async () => {
+      await chastity(['--safe'], { stdin: Readable.from(['<b>x</b>']) });
+      assert.strictEqual(stdout.data, '<p>&lt;b>x&lt;/b></p>');
+    });
+  });
+
+  describe('Help', () => {
+    test('should print usage', async () => {
+      assert.strictEqual(await chastity(['--help']), 0);
+      assert.ok(stdout.data.includes('Usage:'));
+    });
+
+    test('should print feature help', async () => {
+      assert.strictEqual(await chastity(['help']), 0);
+      assert.ok(stdout.data.includes('Chastity Markdown Parser'));
+    });
+
+    test('should print help for one feature', async () => {
+      await chastity(['help', 'bold']);
+      assert.ok(stdout.data.includes('## bold'));
+    });
+
+    test('should fail for an unknown feature', async () => {
+      assert.strictEqual(await chastity(['help', 'nope']), 1);
+      assert.ok(stderr.data.includes("Feature 'nope' not found"));
+    });
+
+    test('should fail for unknown options', async () => {
+      assert.strictEqual(await chastity(['--nope']), 1);
+      assert.ok(stderr.data.includes('Usage:'));
+    });
+  });
+
+  describe('Watch', () => {
+    test('should rebuild a changed file until aborted', async () => {
+      await mkdir(join(cwd, 'docs'));
+      await writeFile(join(cwd, 'docs/a.md'), 'one');
+      const controller = new AbortController();
+      const watching = chastity(['docs', '-o', 'site', '--watch'], { signal: controller.signal });
+
+      const html = join(cwd, 'site/a.html');
+      const waitFor = async (expected, change = () => {}) => {
+        for (let i = 0; i < 100; i++) {
+          if (existsSync(html) && await readFile(html, 'utf-8') === expected) return true;
+          // The watcher starts after the first build, so keep changing until it notices
+          if (i % 10 === 0) await change();
+          await new Promise(done => setTimeout(done, 20));
+        }
+        return false;
+      };
+
+      assert.ok(await waitFor('<p>one</p>'));
+      assert.ok(await waitFor('<p>two</p>', () => writeFile(join(cwd, 'docs/a.md'), 'two')));
+
+      controller.abort();
+      assert.strictEqual(await watching, 0);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// conformance.js
+import { readFile } from 'node:fs/promises';
+
+// The bundled corpus, in the layout of the CommonMark spec.txt
+export const EXAMPLES = new URL('./conformance/examples.md', import.meta.url);
+
+const EXAMPLE_FENCE = '`'.repeat(32);
+
+export async function loadExamples(file = EXAMPLES) {
+  return parseExamples(await readFile(file, 'utf-8'));
+}
+
+// Sections are ## headings; every example lists the features it exercises after the word example
+export function parseExamples(text) {
+  const examples = [];
+  let section = '';
+  let example = null;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (example) {
+      if (line === EXAMPLE_FENCE) {
+        const [markdown, html] = example.parts.map(lines => lines.map(line => `${line.replace(/→/g, '\t')}\n`).join(''));
+        examples.push({ number: examples.length + 1, section, features: example.features, markdown, html });
+        example = null;
+      } else if (line === '.' && example.parts.length === 1) {
+        example.parts.push([]);
+      } else {
+        example.parts.at(-1).push(line);
+      }
+      continue;
+    }
+    if (line.startsWith(`${EXAMPLE_FENCE} example`)) {
+      example = { features: line.slice(EXAMPLE_FENCE.length + 8).trim().split(/\s+/).filter(Boolean), parts: [[]] };
+    } else if (line.startsWith('## ')) {
+      section = line.slice(3).trim();
+    }
+  }
+
+  if (example) {
+    throw new Error(`Example ${examples.length + 1} in '${section}' is not closed`);
+  }
+  return examples;
+}
+
+// Runs every example through a copy of md, so its own state is left alone
+export async function conformance(md, examples) {
+  examples ??= await loadExamples();
+  const parser = md.fork({ target: 'html', slugify: false });
+  const results = [];
+
+  for (const example of examples) {
+    let actual;
+    try {
+      actual = await parser.parseAsync(example.markdown);
+    } catch (error) {
+      actual = `Error: ${error.message}`;
+    }
+    results.push({ ...example, actual, pass: normalizeHtml(actual) === normalizeHtml(example.html) });
+  }
+
+  const registered = md.list();
+  const names = [...new Set([...registered, ...examples.flatMap(({ features }) => features)])];
+  const sections = [...new Set(examples.map(({ section }) => section))];
+
+  return {
+    ...tally(results),
+    features: names.map(name => ({
+      name,
+      registered: registered.includes(name),
+      ...tally(results.filter(({ features }) => features.includes(name)))
+    })),
+    sections: sections.map(name => ({ name, ...tally(results.filter(({ section }) => section === name)) })),
+    failures: results.filter(({ pass }) => !pass)
+  };
+}
+
+export function formatReport(report, { failures = false } = {}) {
+  let md = `# Chastity Conformance\n\n**Passed:** ${report.passed} of ${report.total} examples (${percent(report)})\n`;
+
+  md += '\n## Features\n\n| Feature | Passed | Examples |\n| --- | ---: | ---: |\n';
+  for (const { name, registered, passed, total } of report.features) {
+    md += `| ${registered ? name : `${name} (not registered)`} | ${passed} | ${total} |\n`;
+  }
+
+  md += '\n## Sections\n\n| Section | Passed | Examples |\n| --- | ---: | ---: |\n';
+  for (const { name, passed, total } of report.sections) {
+    md += `| ${name} | ${passed} | ${total} |\n`;
+  }
+
+  if (failures && report.failures.length) {
+    md += '\n## Failures\n';
+    for (const { number, section, features, markdown, html, actual } of report.failures) {
+      md += `\n### Example ${number}\n\n**Section:** ${section} · **Features:** ${features.join(', ')}\n`;
+      md += `\n${codeBlock(markdown, 'markdown')}\nExpected:\n\n${codeBlock(html, 'html')}\nActual:\n\n${codeBlock(actual, 'html')}`;
+    }
+  }
+  return md;
+}
+
+// Ignores what a browser does not show: whitespace around block tags and inside text,
+// attribute order, <br /> against <br>, and which of " ' > & were escaped
+const BLOCK_TAG = /\s*(<\/?(?:address|article|aside|blockquote|dd|details|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|nav|ol|p|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)\b[^>]*>)\s*/g;
+const ELEMENT = /^<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>$/;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+export function normalizeHtml(html) {
+  return html.split(/(<pre\b[\s\S]*?<\/pre>)/).map((part, index) => {
+    const text = index % 2 ? part : part.replace(/\s+/g, ' ').replace(BLOCK_TAG, '$1');
+    return text.replace(/(<[^>]*>)|([^<]+)/g, (all, tag, chars) => tag ? normalizeTag(tag) : normalizeText(chars));
+  }).join('').trim();
+}
+
+function normalizeTag(tag) {
+  const element = tag.match(ELEMENT);
+  if (!element) return tag;
+  const attributes = Array.from(element[2].matchAll(ATTRIBUTE), ([, name, ...values]) => {
+    const value = normalizeText(values.find(value => value !== undefined) ?? '').replace(/"/g, '&quot;');
+    return value ? `${name.toLowerCase()}="${value}"` : name.toLowerCase();
+  });
+  return `<${[element[1].toLowerCase(), ...attributes.sort()].join(' ')}>`;
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/&(?:quot|#34|#x22);/gi, '"')
+    .replace(/&(?:apos|#39|#x27);/gi, "'")
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;(?![#\w]+;)/g, '&');
+}
+
+function tally(results) {
+  const passed = results.filter(({ pass }) => pass).length;
+  return { passed, failed: results.length - passed, total: results.length };
+}
+
+function percent({ passed, total }) {
+  return `${total ? Math.round(passed / total * 100) : 0}%`;
+}
+
+// Fenced with more backticks than the content ever repeats
+function codeBlock(text, lang) {
+  const longest = Math.max(2, ...Array.from(text.matchAll(/`+/g), ([ticks]) => ticks.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${lang}\n${text.endsWith('\n') ? text : `${text}\n`}${fence}\n`;
+}
@@ -0,0 +1,118 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import Chastity from './index.js';
+import { conformance, formatReport, loadExamples, normalizeHtml, parseExamples } from './conformance.js';
+
+const FENCE = '`'.repeat(32);
+const example = (features, markdown, html) => `${FENCE} example ${features}\n${markdown}\n.\n${html}\n${FENCE}\n`;
+
+describe('Conformance', () => {
+  describe('Examples', () => {
+    test('should read sections, features, input and expected HTML', () => {
+      const examples = parseExamples(`# Title\n\n## Emphasis\n\n${example('bold italic', '**a**\n*b*', '<p><strong>a</strong>\n<em>b</em></p>')}\n## Code\n\n${example('code-blocks', '```\n→x\n```', '<pre><code>\tx\n</code></pre>')}`);
+      assert.deepStrictEqual(examples, [
+        { number: 1, section: 'Emphasis', features: ['bold', 'italic'], markdown: '**a**\n*b*\n', html: '<p><strong>a</strong>\n<em>b</em></p>\n' },
+        { number: 2, section: 'Code', features: ['code-blocks'], markdown: '```\n\tx\n```\n', html: '<pre><code>\tx\n</code></pre>\n' }
+      ]);
+    });
+
+    test('should reject an unclosed example', () => {
+      assert.throws(() => parseExamples(`## Links\n\n${FENCE} example links\n[a](b)\n`), /Example 1 in 'Links' is not closed/);
+    });
+
+    test('should bundle examples for the built-in features', async () => {
+      const examples = await loadExamples();
+      const features = new Set(examples.flatMap(({ features }) => features));
+      for (const name of ['headers', 'bold', 'italic', 'unordered-list', 'ordered-list', 'code-blocks', 'tables']) {
+        assert.ok(features.has(name), name);
+      }
+      assert.ok(examples.every(({ features, html }) => features.length && html));
+      assert.deepStrictEqual(examples.map(({ number }) => number), examples.map((_, index) => index + 1));
+    });
+  });
+
+  describe('Comparison', () => {
+    test('should ignore what a browser does not show', () => {
+      assert.strictEqual(normalizeHtml('<ul>\n<li>a\nb</li>\n</ul>\n'), normalizeHtml('<ul>\n  <li>a b</li>\n</ul>'));
+      assert.strictEqual(normalizeHtml('<img src="/u" alt="x" />'), normalizeHtml('<img alt="x" src="/u">'));
+      assert.strictEqual(normalizeHtml('<input disabled="" type="checkbox">'), normalizeHtml('<input type="checkbox" disabled>'));
+      assert.strictEqual(normalizeHtml('<p>a &amp; &quot;b&quot; &gt; c</p>'), normalizeHtml('<p>a & "b" > c</p>'));
+    });
+
+    test('should keep what a browser shows', () => {
+      assert.notStrictEqual(normalizeHtml('<pre><code>a\n\nb\n</code></pre>'), normalizeHtml('<pre><code>a\nb\n</code></pre>'));
+      assert.notStrictEqual(normalizeHtml('<p>&amp;lt;</p>'), normalizeHtml('<p>&lt;</p>'));
+      assert.notStrictEqual(normalizeHtml('<p>a<br />b</p>'), normalizeHtml('<p>a b</p>'));
+    });
+  });
+
+  describe('Runner', () => {
+    const examples = parseExamples(`## Inline\n\n${example('bold', '**a**', '<p><strong>a</strong></p>')}\n${example('italic', '*a*', '<p><i>a</i></p>')}\n${example('autolinks', '<http://a.b>', '<p><a href="http://a.b">http://a.b</a></p>')}`);
+
+    test('should report every registered feature', async () => {
+      const md = new Chastity({ preset: 'minimal', features: ['paragraphs'] });
+      const report = await conformance(md, examples);
+      assert.deepStrictEqual([report.passed, report.failed, report.total], [1, 2, 3]);
+      assert.deepStrictEqual(report.features.map(({ name, registered, passed, total }) => [name, registered, passed, total]), [
+        ['paragraphs', true, 0, 0],
+        ['inline-code', true, 0, 0],
+        ['escapes', true, 0, 0],
+        ['links', true, 0, 0],
+        ['bold', true, 1, 1],
+        ['italic', true, 0, 1],
+        ['strikethrough', true, 0, 0],
+        ['autolinks', false, 0, 1]
+      ]);
+      assert.deepStrictEqual(report.sections, [{ name: 'Inline', passed: 1, failed: 2, total: 3 }]);
+      assert.deepStrictEqual(report.failures.map(({ number, actual }) => [number, actual]), [
+        [2, '<p><em>a</em></p>\n'],
+        [3, '<p><http://a.b></p>\n']
+      ]);
+    });
+
+    test('should leave the parser untouched', async () => {
+      const md = new Chastity();
+      md.parse('# Kept');
+      const report = await conformance(md, parseExamples(`## Headings\n\n${example('headers', '# Foo', '<h1>Foo</h1>')}`));
+      assert.strictEqual(report.passed, 1);
+      assert.deepStrictEqual(md.headings.map(({ text }) => text), ['Kept']);
+    });
+
+    test('should count a feature that throws as a failure', async () => {
+      const md = new Chastity({ preset: 'minimal' }).use({ name: 'broken', pattern: 'x', replacement: () => { throw new Error('nope'); } });
+      const report = await conformance(md, parseExamples(`## Broken\n\n${example('broken', 'x', 'x')}`));
+      assert.strictEqual(report.failures[0].actual, 'Error: nope');
+    });
+
+    test('should run the bundled corpus', async () => {
+      const report = await conformance(new Chastity());
+      assert.strictEqual(report.total, (await loadExamples()).length);
+      assert.ok(report.passed > 0);
+      assert.ok(report.features.find(({ name }) => name === 'paragraphs').passed > 0);
+    });
+  });
+
+  describe('Report', () => {
+    const report = {
+      passed: 1, failed: 1, total: 2,
+      features: [{ name: 'bold', registered: true, passed: 1, failed: 0, total: 1 }, { name: 'autolinks', registered: false, passed: 0, failed: 1, total: 1 }],
+      sections: [{ name: 'Inline', passed: 1, failed: 1, total: 2 }],
+      failures: [{ number: 2, section: 'Inline', features: ['autolinks'], markdown: '<http://a.b>\n', html: '<p><a href="http://a.b">http://a.b</a></p>\n', actual: '<p><http://a.b></p>\n' }]
+    };
+
+    test('should summarize features and sections', () => {
+      const text = formatReport(report);
+      assert.ok(text.includes('**Passed:** 1 of 2 examples (50%)'));
+      assert.ok(text.includes('| bold | 1 | 1 |'));
+      assert.ok(text.includes('| autolinks (not registered) | 0 | 1 |'));
+      assert.ok(text.includes('| Inline | 1 | 2 |'));
+      assert.ok(!text.includes('## Failures'));
+    });
+
+    test('should list failures on request', () => {
+      const text = formatReport(report, { failures: true });
+      assert.ok(text.includes('### Example 2'));
+      assert.ok(text.includes('```html\n<p><http://a.b></p>\n```'));
+    });
+  });
+});
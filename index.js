@@ -1,56 +1,271 @@
 // chastity.js
 export class Chastity {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      target: 'html', safe: false, schemes: DEFAULT_SCHEMES, slugify, frontMatter: true, normalize: true,
+      patternCheck: 'error', onLimit: 'throw', depthLimit: 16, ...options
+    };
+    this.hooks = Object.fromEntries(HOOKS.map(name => [name, []]));
+    this.headings = [];
+    this.meta = {};
+    this.exceeded = [];
+    this.trace = null;
     this.transforms = new Map();
     this.initialize();
+    this._choose(this.options);
+    // The built-ins as the options chose them, so fork() can tell later changes apart
+    this._builtins = new Map(Array.from(this.transforms, ([name, feature]) => [name, [feature, feature.priority]]));
   }
 
   initialize() {
     this.register({
       name: 'code-blocks',
-      description: 'Fenced code blocks with optional language specification',
-      usage: '```javascript\\ncode here\\n```',
-      pattern: '```(?<lang>\\w+)?\\n(?<code>[\\s\\S]*?)```',
-      flags: 'g',
-      replacement: ({ lang, code }) =>
-        `<pre><code class="${lang || ''}">${escapeHtml(code)}</code></pre>`
+      description: 'Code fenced with ``` or ~~~, with an optional language, {1,3-5} line highlights and title="name"',
+      usage: '```js {2} title="app.js"\\ncode here\\n```',
+      pattern: '^(?<indent>[ \\t]*)(?<marker>(?<char>[`~])\\k<char>{2,})(?<info>[^`\\n]*)\\n(?<code>[\\s\\S]*?)(?<fence>^[ \\t]*\\k<marker>\\k<char>*)',
+      flags: 'gm',
+      kind: 'block',
+      opaque: true,
+      raw: true,
+      replacement: {
+        html: ({ indent, info, code }, { options }) => renderCode(unindent(code, indent), codeInfo(info), options),
+        text: ({ indent, code }) => unindent(code, indent).replace(/\n$/, ''),
+        ansi: ({ indent, code }) => indentLines(ansi('yellow', unindent(code, indent).replace(/\n$/, '')), '  '),
+        // Kept as written, so markdown output never rewrites code
+        markdown: ({ indent, marker, info, code, fence }) => `${indent}${marker}${info}\n${code}${fence}`
+      }
+    });
+
+    // Only after a blank line, and not where the indent could continue a list item
+    this.register({
+      name: 'indented-code',
+      description: 'Code blocks indented by four spaces or a tab',
+      usage: '    code here',
+      pattern: '^(?<!\\S[^\\n]*\\n)(?<!^(?:[ \\t]+|[ \\t]*(?:[*+-]|\\d+\\.)[ \\t]).*\\n(?:[ \\t]*\\n)+)(?<code>(?: {4}|\\t).*(?:\\n(?:[ \\t]*\\n)*(?: {4}|\\t).*)*)',
+      flags: 'gm',
+      kind: 'block',
+      opaque: true,
+      raw: true,
+      replacement: {
+        html: ({ code }, { options }) => renderCode(`${unindentBlock(code)}\n`, { lang: '' }, options),
+        text: ({ code }) => unindentBlock(code),
+        ansi: ({ code }) => indentLines(ansi('yellow', unindentBlock(code)), '  '),
+        markdown: ({ code }) => code
+      }
+    });
+
+    // Definitions only collect state, so every target falls back to their empty HTML output
+    this.register({
+      name: 'link-definitions',
+      description: 'Link reference definitions, used by reference links anywhere in the document',
+      usage: '[ref]: https://example.com "Optional title"',
+      pattern: `^ {0,3}\\[(?<label>[^\\]^][^\\]]*)\\]:[ \\t]*<?(?<url>[^\\s>]+)>?(?:[ \\t]+(?<title>${LINK_TITLE}))?[ \\t]*$\\n?`,
+      flags: 'gm',
+      kind: 'block',
+      replacement: ({ label, url, title }, { references }) => {
+        const key = normalizeLabel(label);
+        if (!references.has(key)) references.set(key, { url, title });
+        return '';
+      }
+    });
+
+    this.register({
+      name: 'footnotes',
+      description: 'Footnote definitions, listed in a numbered section at the end of the document',
+      usage: '[^1]: The note text',
+      pattern: '^\\[\\^(?<label>[^\\]\\s]+)\\]:[ \\t]*(?<text>.*(?:\\n[ \\t]+\\S.*)*)\\n?',
+      flags: 'gm',
+      kind: 'block',
+      replacement: ({ label, text }, context) => {
+        const { definitions } = footnoteState(context);
+        const key = normalizeLabel(label);
+        if (!definitions.has(key)) definitions.set(key, context.inline(text.replace(/\n[ \t]+/g, ' ')));
+        return '';
+      }
     });
 
     this.register({
       name: 'inline-code',
       description: 'Inline code wrapped in backticks',
       usage: '`const x = 42;`',
-      pattern: '`(?<code>[^`]+)`',
+      pattern: '(?<=(?:^|[^\\\\])(?:\\\\\\\\)*)`(?<code>[^`]+)`',
       flags: 'g',
-      replacement: ({ code }) => `<code>${escapeHtml(code)}</code>`
+      kind: 'inline',
+      opaque: true,
+      raw: true,
+      replacement: {
+        html: ({ code }) => `<code>${escapeHtml(code)}</code>`,
+        text: ({ code }) => code,
+        ansi: ({ code }) => ansi('yellow', code),
+        markdown: ({ code }) => `\`${code}\``
+      }
+    });
+
+    // Opaque, so no later feature sees the escaped character; code spans run first and keep their backslashes
+    this.register({
+      name: 'escapes',
+      description: 'A backslash before ASCII punctuation keeps it literal',
+      usage: '\\*not italic\\*',
+      pattern: '\\\\(?<char>&(?:amp|lt|quot|#39);|[!-/:-@\\[-`{-~])',
+      flags: 'g',
+      kind: 'inline',
+      opaque: true,
+      raw: true,
+      replacement: {
+        html: ({ char }) => escapeHtml(char),
+        text: ({ char }) => char,
+        ansi: ({ char }) => char,
+        markdown: ({ char }) => `\\${char}`
+      }
     });
 
     this.register({
       name: 'images',
-      description: 'Images with alt text and URL',
-      usage: '![alt text](image.jpg)',
-      pattern: '!\\[(?<alt>[^\\]]*)\\]\\((?<url>[^)]+)\\)',
+      description: 'Images with alt text, URL, an optional title and an optional =WxH size',
+      usage: '![alt text](image.jpg "Optional title" =640x480)',
+      pattern: `!\\[(?<alt>[^\\]]*)\\]\\([ \\t]*(?<url>[^)\\s]+)(?:[ \\t]+(?<title>${LINK_TITLE}))?(?:[ \\t]+=(?<width>\\d*)x(?<height>\\d*))?[ \\t]*\\)`,
       flags: 'g',
-      replacement: ({ alt, url }) => `<img src="${url}" alt="${alt}">`
+      kind: 'inline',
+      replacement: {
+        html: ({ alt, url, title, width, height }, { link }) => {
+          const size = Object.fromEntries(Object.entries({ width, height }).filter(([, value]) => value));
+          const image = link({ type: 'image', url, text: alt, title: titleText(title), attributes: size });
+          return `<img src="${quoteAttribute(image.url)}" alt="${quoteAttribute(image.text)}"${linkAttributes(image)}>`;
+        },
+        text: ({ alt }) => alt,
+        ansi: ({ alt, url }, { link }) => ansiImage(alt, link({ type: 'image', url, text: alt }).url)
+      }
     });
 
     this.register({
       name: 'links',
       description: 'Hyperlinks with text and URL',
-      usage: '[link text](https://example.com)',
-      pattern: '\\[(?<text>[^\\]]+)\\]\\((?<url>[^)]+)\\)',
+      usage: '[link text](https://example.com "Optional title")',
+      pattern: `(?<!!)\\[(?<text>[^\\]]+)\\]\\([ \\t]*(?<url>[^)\\s]+)(?:[ \\t]+(?<title>${LINK_TITLE}))?[ \\t]*\\)`,
       flags: 'g',
-      replacement: ({ text, url }) => `<a href="${url}">${text}</a>`
+      kind: 'inline',
+      replacement: {
+        html: ({ text, url, title }, { link }) => {
+          const anchor = link({ type: 'link', url, text, title: titleText(title) });
+          return `<a href="${quoteAttribute(anchor.url)}"${linkAttributes(anchor)}>${anchor.text}</a>`;
+        },
+        text: ({ text }) => text,
+        ansi: ({ text, url }, { link }) => ansiLink(text, link({ type: 'link', url, text }).url)
+      }
+    });
+
+    const definitionFor = ({ text, ref }, context) => {
+      const definition = context.references.get(normalizeLabel(ref || text));
+      // A definition further down the document would change this output
+      if (!definition) context.incomplete = true;
+      return definition;
+    };
+    // Brackets without a definition stay as written
+    const unresolved = ({ bang, text, ref }) => `${bang}[${text}]${ref === undefined ? '' : `[${ref}]`}`;
+    this.register({
+      name: 'reference-links',
+      description: 'Reference links and images: [text][ref], [text][] or [text], resolved against link definitions',
+      usage: '[link text][ref]\\n\\n[ref]: https://example.com',
+      pattern: '(?<bang>!?)\\[(?<text>[^\\]^][^\\]]*)\\](?:\\[(?<ref>[^\\]]*)\\])?(?![(:])',
+      flags: 'g',
+      kind: 'inline',
+      replacement: {
+        html: (groups, context) => {
+          const definition = definitionFor(groups, context);
+          if (!definition) return unresolved(groups);
+          const resolved = context.link({ type: groups.bang ? 'image' : 'link', url: definition.url, text: groups.text, title: titleText(definition.title) });
+          if (groups.bang) return `<img src="${quoteAttribute(resolved.url)}" alt="${quoteAttribute(resolved.text)}"${linkAttributes(resolved)}>`;
+          return `<a href="${quoteAttribute(resolved.url)}"${linkAttributes(resolved)}>${resolved.text}</a>`;
+        },
+        text: (groups, context) => definitionFor(groups, context) ? groups.text : unresolved(groups),
+        ansi: (groups, context) => {
+          const definition = definitionFor(groups, context);
+          if (!definition) return unresolved(groups);
+          const { url } = context.link({ type: groups.bang ? 'image' : 'link', url: definition.url, text: groups.text });
+          if (groups.bang) return ansiImage(groups.text, url);
+          return ansiLink(groups.text, url);
+        }
+      }
+    });
+
+    this.register({
+      name: 'footnote-references',
+      description: 'Footnote references, numbered in order of first use',
+      usage: 'Some claim[^1]',
+      pattern: '\\[\\^(?<label>[^\\]\\s]+)\\]',
+      flags: 'g',
+      kind: 'inline',
+      replacement: {
+        html: ({ label }, context) => {
+          const reference = footnoteReference(label, context);
+          if (!reference) return `[^${label}]`;
+          const { number, id } = reference;
+          return `<sup class="footnote-ref"><a href="#fn-${number}" id="${id}">${number}</a></sup>`;
+        },
+        text: ({ label }, context) => {
+          const reference = footnoteReference(label, context);
+          return reference ? `[${reference.number}]` : `[^${label}]`;
+        },
+        ansi: ({ label }, context) => {
+          const reference = footnoteReference(label, context);
+          return reference ? ansi('blue', `[${reference.number}]`) : `[^${label}]`;
+        }
+      }
+    });
+
+    // Opaque, so emphasis never reaches into a URL; runs after the bracket links it must not relink
+    this.register({
+      name: 'autolinks',
+      description: 'Links <https://...> and <user@example.com>, bare URLs and emails, and @user or #123 given URL templates',
+      usage: 'See https://example.com or <mailto:someone@example.com>, thanks @catpea (#12)',
+      pattern: autolinkPattern(this.options.autolinks),
+      flags: 'gi',
+      kind: 'inline',
+      opaque: true,
+      raw: true,
+      replacement: {
+        html: (groups, { options, link }) => {
+          if (groups.tag) return null;
+          const { href, text } = autolinkTarget(groups, options);
+          if (!href) return escapeHtml(text);
+          const anchor = link({ type: 'link', url: href, text: escapeHtml(text) });
+          return `<a href="${escapeHtml(anchor.url)}"${linkAttributes(anchor)}>${anchor.text}</a>`;
+        },
+        text: (groups, { options }) => groups.tag ? null : autolinkTarget(groups, options).text,
+        ansi: (groups, { options, link }) => {
+          if (groups.tag) return null;
+          const { href, text } = autolinkTarget(groups, options);
+          return href ? ansiLink(text, link({ type: 'link', url: href, text }).url) : text;
+        }
+      }
     });
 
     this.register({
       name: 'headers',
-      description: 'Headers from h1 (# ) to h6 (######)',
-      usage: '## Heading Level 2',
-      pattern: '^(?<hashes>#{1,6})\\s+(?<text>.+)$',
+      description: 'Headers from h1 (# ) to h6 (######), with an optional {#custom-id}',
+      usage: '## Heading Level 2 {#level-two}',
+      pattern: '^(?<hashes>#{1,6})[ \\t]+(?<text>.+)$',
       flags: 'gm',
-      replacement: ({ hashes, text }) =>
-        `<h${hashes.length}>${text}</h${hashes.length}>`
+      kind: 'block',
+      replacement: {
+        html: ({ hashes, text: line }, { inline, heading }) => {
+          const { text, id } = headerParts(line);
+          const html = inline(text);
+          const { id: slug } = heading(hashes.length, html, id);
+          const attribute = slug ? ` id="${slug}"` : '';
+          return `<h${hashes.length}${attribute}>${html}</h${hashes.length}>`;
+        },
+        text: ({ hashes, text: line }, { inline, heading }) => {
+          const { text, id } = headerParts(line);
+          return heading(hashes.length, inline(text), id).text;
+        },
+        ansi: ({ hashes, text: line }, { inline, heading }) => {
+          const { text, id } = headerParts(line);
+          const output = inline(text);
+          heading(hashes.length, output, id);
+          return ansi(hashes.length === 1 ? 'bold underline blue' : 'bold blue', output);
+        }
+      }
     });
 
     this.register({
@@ -59,57 +274,98 @@ export class Chastity {
       usage: '---',
       pattern: '^-{3,}$',
       flags: 'gm',
-      replacement: () => '<hr>'
+      kind: 'block',
+      replacement: {
+        html: () => '<hr>',
+        text: () => '',
+        ansi: () => ansi('dim', '─'.repeat(40))
+      }
     });
 
+    // Looks behind only from a checkbox, not from every character of the indentation
     this.register({
-      name: 'unordered-list',
-      description: 'Unordered list items starting with - or *',
-      usage: '- item one\\n- item two',
-      pattern: '(?:^[*-]\\s+.+$\\n?)+',
+      name: 'task-list',
+      description: 'Task list checkboxes at the start of list items',
+      usage: '- [ ] todo\\n- [x] done',
+      pattern: '\\[(?<check>[ xX])\\](?<=^[ \\t]*(?:[*+-]|\\d+\\.)[ \\t]+\\[[ xX]\\])(?=[ \\t])',
       flags: 'gm',
-      replacement: (match) => {
-        const items = match[0].split('\n')
-          .filter(line => line.trim())
-          .map(line => line.replace(/^[*-]\s+/, ''))
-          .map(item => `  <li>${item}</li>`)
-          .join('\n');
-        return `<ul>\n${items}\n</ul>`;
+      kind: 'block',
+      replacement: {
+        html: ({ check }) => `<input type="checkbox" disabled${check === ' ' ? '' : ' checked'}>`,
+        text: ({ check }) => check === ' ' ? '[ ]' : '[x]',
+        ansi: ({ check }) => check === ' ' ? '☐' : ansi('green', '☑')
       }
     });
 
+    const bulletItems = (match) => splitListItems(match[0], /^[*+-][ \t]+/);
+    this.register({
+      name: 'unordered-list',
+      description: 'Unordered lists with -, * or + bullets, nested by indentation',
+      usage: '- item one\\n  - nested item\\n- item two',
+      pattern: '^[*+-][ \\t]+\\S.*(?:\\n(?:[ \\t]*\\n)*(?:[*+-][ \\t]+\\S|[ \\t]+\\S).*)*',
+      flags: 'gm',
+      kind: 'block',
+      replacement: nesting({
+        html: (match, context) => `<ul>\n${renderListItems(bulletItems(match), context)}\n</ul>`,
+        text: (match, context) => renderTextList(bulletItems(match), context, () => '- '),
+        ansi: (match, context) => renderTextList(bulletItems(match), context, () => '• ')
+      })
+    });
+
+    const numberedItems = (match) => splitListItems(match[0], /^(\d+)\.[ \t]+/);
+    const numbered = (items) => (index) => `${parseInt(items[0].marker[1], 10) + index}. `;
     this.register({
       name: 'ordered-list',
-      description: 'Ordered list items starting with numbers',
-      usage: '1. first\\n2. second',
-      pattern: '(?:^\\d+\\.\\s+.+$\\n?)+',
+      description: 'Ordered lists starting with numbers, nested by indentation',
+      usage: '3. third\\n4. fourth\\n   - nested item',
+      pattern: '^\\d+\\.[ \\t]+\\S.*(?:\\n(?:[ \\t]*\\n)*(?:\\d+\\.[ \\t]+\\S|[ \\t]+\\S).*)*',
       flags: 'gm',
-      replacement: (match) => {
-        const items = match[0].split('\n')
-          .filter(line => line.trim())
-          .map(line => line.replace(/^\d+\.\s+/, ''))
-          .map(item => `  <li>${item}</li>`)
-          .join('\n');
-        return `<ol>\n${items}\n</ol>`;
-      }
+      kind: 'block',
+      replacement: nesting({
+        html: (match, context) => {
+          const items = numberedItems(match);
+          const start = parseInt(items[0].marker[1], 10);
+          const attribute = start !== 1 ? ` start="${start}"` : '';
+          return `<ol${attribute}>\n${renderListItems(items, context)}\n</ol>`;
+        },
+        text: (match, context) => {
+          const items = numberedItems(match);
+          return renderTextList(items, context, numbered(items));
+        },
+        ansi: (match, context) => {
+          const items = numberedItems(match);
+          return renderTextList(items, context, numbered(items));
+        }
+      })
     });
 
+    // Runs before italic, so either one can sit inside the other
     this.register({
       name: 'bold',
-      description: 'Bold text wrapped in double asterisks',
-      usage: '**bold text**',
-      pattern: '\\*\\*(?<text>[^*]+)\\*\\*',
-      flags: 'g',
-      replacement: ({ text }) => `<strong>${text}</strong>`
+      description: 'Bold text wrapped in double asterisks or underscores, bold italic in triple ones',
+      usage: '**bold text** or __bold text__, ***both***',
+      pattern: emphasisPattern('\\*\\*\\*?', '___?', '\\*\\*'),
+      flags: 'gu',
+      kind: 'inline',
+      replacement: {
+        html: ({ delimiter, text }) => delimiter.length === 3 ? `<em><strong>${text}</strong></em>` : `<strong>${text}</strong>`,
+        text: ({ text }) => text,
+        ansi: ({ delimiter, text }) => ansi(delimiter.length === 3 ? 'bold italic' : 'bold', text)
+      }
     });
 
     this.register({
       name: 'italic',
-      description: 'Italic text wrapped in single asterisks',
-      usage: '*italic text*',
-      pattern: '\\*(?<text>[^*]+)\\*',
-      flags: 'g',
-      replacement: ({ text }) => `<em>${text}</em>`
+      description: 'Italic text wrapped in single asterisks or underscores',
+      usage: '*italic text* or _italic text_',
+      pattern: emphasisPattern('\\*', '_'),
+      flags: 'gu',
+      kind: 'inline',
+      replacement: {
+        html: ({ text }) => `<em>${text}</em>`,
+        text: ({ text }) => text,
+        ansi: ({ text }) => ansi('italic', text)
+      }
     });
 
     this.register({
@@ -118,37 +374,280 @@ export class Chastity {
       usage: '~~deleted text~~',
       pattern: '~~(?<text>[^~]+)~~',
       flags: 'g',
-      replacement: ({ text }) => `<del>${text}</del>`
+      kind: 'inline',
+      replacement: {
+        html: ({ text }) => `<del>${text}</del>`,
+        text: ({ text }) => text,
+        ansi: ({ text }) => ansi('strike', text)
+      }
+    });
+
+    const alertTitle = (type) => type[0].toUpperCase() + type.slice(1).toLowerCase();
+    const alertBody = (body, { block }) => block(unquote(body.replace(/^\n/, '')));
+    this.register({
+      name: 'alerts',
+      description: 'GitHub alert callouts: a blockquote opening with [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] or [!CAUTION]',
+      usage: '> [!WARNING]\\n> Mind the gap',
+      pattern: '^>[ \\t]*\\[!(?<type>NOTE|TIP|IMPORTANT|WARNING|CAUTION)\\][ \\t]*(?<body>(?:\\n>.*)*)',
+      flags: 'gim',
+      kind: 'block',
+      replacement: nesting({
+        html: ({ type, body }, context) => {
+          const name = type.toLowerCase();
+          return `<div class="markdown-alert markdown-alert-${name}">\n<p class="markdown-alert-title">${alertTitle(type)}</p>\n${alertBody(body, context)}\n</div>`;
+        },
+        text: ({ type, body }, context) => `${alertTitle(type)}: ${alertBody(body, context)}`,
+        ansi: ({ type, body }, context) => {
+          const color = ALERT_COLORS[type.toLowerCase()];
+          const content = `${ansi('bold', alertTitle(type))}\n${context.restore(alertBody(body, context))}`;
+          return indentLines(content, ansi(color, '│ '));
+        }
+      })
     });
 
+    // A quote without blank lines holds bare text, like a tight list item
+    const quoted = (match, { block }) => {
+      const content = unquote(match[0]).trim();
+      return block(content, { tight: !/\n[ \t]*\n/.test(content) });
+    };
     this.register({
       name: 'blockquote',
-      description: 'Blockquote lines starting with >',
-      usage: '> quoted text',
-      pattern: '^>\\s+(?<text>.+)$',
+      description: 'Blockquotes: consecutive lines starting with >, nested with >>',
+      usage: '> quoted text\\n> > nested quote',
+      pattern: '^>.*(?:\\n>.*)*',
+      flags: 'gm',
+      kind: 'block',
+      replacement: nesting({
+        html: (match, context) => `<blockquote>${quoted(match, context)}</blockquote>`,
+        text: (match, context) => quoted(match, context),
+        ansi: (match, context) => indentLines(context.restore(quoted(match, context)), ansi('dim', '│ '))
+      })
+    });
+
+    this.register({
+      name: 'tables',
+      description: 'Pipe tables with a header separator row and :---: alignment',
+      usage: '| Name | Qty |\\n| :--- | ---: |\\n| Apple | 3 |',
+      pattern: '^(?<header>.*\\|.*)\\n(?<separator>(?=.*\\|)[ \\t]*\\|?[ \\t]*:?-+:?[ \\t]*(?:\\|[ \\t]*:?-+:?[ \\t]*)*\\|?[ \\t]*)(?<rows>(?:\\n.*\\|.*)*)',
+      flags: 'gm',
+      kind: 'block',
+      replacement: {
+        html: ({ header, separator, rows }, { inline }) => {
+          const align = tableAlignment(separator);
+          if (splitTableRow(header).length !== align.length) return null;
+          const row = (line, tag) => {
+            const cells = splitTableRow(line);
+            return '<tr>\n' + align.map((alignment, index) => {
+              const attribute = alignment ? ` align="${alignment}"` : '';
+              return `<${tag}${attribute}>${inline(cells[index] ?? '')}</${tag}>`;
+            }).join('\n') + '\n</tr>';
+          };
+          const body = tableRows(rows).map(line => row(line, 'td'));
+          const tbody = body.length ? `\n<tbody>\n${body.join('\n')}\n</tbody>` : '';
+          return `<table>\n<thead>\n${row(header, 'th')}\n</thead>${tbody}\n</table>`;
+        },
+        text: ({ header, separator, rows }, { inline }) => {
+          const columns = tableAlignment(separator).length;
+          if (splitTableRow(header).length !== columns) return null;
+          return [header, ...tableRows(rows)].map(line => {
+            const cells = splitTableRow(line);
+            return Array.from({ length: columns }, (_, index) => inline(cells[index] ?? '')).join('\t');
+          }).join('\n');
+        },
+        ansi: ({ header, separator, rows }, { inline, restore }) => {
+          const align = tableAlignment(separator);
+          if (splitTableRow(header).length !== align.length) return null;
+          const table = [header, ...tableRows(rows)].map(line => {
+            const cells = splitTableRow(line);
+            return align.map((_, index) => restore(inline(cells[index] ?? '')));
+          });
+          const widths = align.map((_, index) => Math.max(...table.map(cells => visibleLength(cells[index]))));
+          const pad = (cell, index) => {
+            const space = widths[index] - visibleLength(cell);
+            if (align[index] === 'right') return ' '.repeat(space) + cell;
+            if (align[index] === 'center') return ' '.repeat(Math.floor(space / 2)) + cell + ' '.repeat(Math.ceil(space / 2));
+            return cell + ' '.repeat(space);
+          };
+          const [head, ...body] = table.map(cells => cells.map(pad).join(' │ '));
+          const rule = ansi('dim', widths.map(width => '─'.repeat(width)).join('─┼─'));
+          return [ansi('bold', head), rule, ...body].join('\n');
+        }
+      }
+    });
+
+    this.register({
+      name: 'toc',
+      description: 'Table of contents built from every header in the document',
+      usage: '[[toc]]',
+      pattern: '^\\[\\[toc\\]\\]$',
+      flags: 'gim',
+      kind: 'block',
+      // Deferred until the whole document is parsed, so later headers are included
+      replacement: {
+        html: (match, context) => tocOf(context, () => renderToc(context.headings)),
+        text: (match, context) => tocOf(context, () => renderTextToc(context.headings, '- ')),
+        ansi: (match, context) => tocOf(context, () => renderTextToc(context.headings, '• '))
+      }
+    });
+
+    const definitionLines = (match) => match[0].split('\n').map(line => {
+      const definition = line.match(/^:[ \t]+(.*)$/);
+      return definition ? { definition: definition[1] } : { term: line };
+    });
+    // Terms start a block, so a long paragraph is scanned once and not from every line
+    this.register({
+      name: 'definition-list',
+      description: 'Definition lists: term lines followed by lines starting with :',
+      usage: 'Term\\n: definition',
+      pattern: '^(?<![^\\n\\uE001]\\n)(?:(?![:\\s\\uE000]).+\\n)+:[ \\t]+.+(?:\\n:[ \\t]+.+)*(?:\\n(?:(?![:\\s\\uE000]).+\\n)+:[ \\t]+.+(?:\\n:[ \\t]+.+)*)*',
       flags: 'gm',
-      replacement: ({ text }) => `<blockquote>${text}</blockquote>`
+      kind: 'block',
+      replacement: {
+        html: (match, { inline }) => {
+          const items = definitionLines(match).map(({ term, definition }) =>
+            term === undefined ? `<dd>${inline(definition)}</dd>` : `<dt>${inline(term)}</dt>`
+          );
+          return `<dl>\n${items.join('\n')}\n</dl>`;
+        },
+        text: (match, { inline }) => definitionLines(match).map(({ term, definition }) =>
+          term === undefined ? `  ${inline(definition)}` : inline(term)
+        ).join('\n'),
+        ansi: (match, { inline }) => definitionLines(match).map(({ term, definition }) =>
+          term === undefined ? `  ${inline(definition)}` : ansi('bold', inline(term))
+        ).join('\n')
+      }
     });
 
+    // Outside HTML, paragraphs are just their text
+    const paragraphText = ({ text }, { inline }) => inline(text.replace(/\n/g, ' '));
     this.register({
       name: 'paragraphs',
       description: 'Paragraphs separated by blank lines',
       usage: 'paragraph one\\n\\nparagraph two',
-      pattern: '(?<text>[^\\n]+(?:\\n(?!\\n)[^\\n]+)*)',
-      flags: 'g',
-      replacement: ({ text }) => {
-        // Don't wrap if already HTML
-        if (text.match(/^<[a-z]/)) return text;
-        return `<p>${text.replace(/\n/g, ' ')}</p>`;
+      pattern: '^(?!\\uE000)(?<text>.+(?:\\n(?!\\uE000).+)*)',
+      flags: 'gm',
+      kind: 'block',
+      replacement: {
+        html: ({ text }, { inline, tight }) => {
+          // Don't wrap raw HTML
+          if (text.match(/^<[a-z][\w-]*[\s/>]/i)) return text;
+          // Tight list items hold bare text
+          if (tight) return inline(text.replace(/\n/g, ' '));
+          return `<p>${inline(text.replace(/\n/g, ' '))}</p>`;
+        },
+        text: paragraphText,
+        ansi: paragraphText
       }
     });
+
+    // Reads files, so it is only registered when the transclude option is set
+    if (this.options.transclude) {
+      this.register({
+        name: 'transclude',
+        description: 'Include another markdown file, or one section of it, from the transclude root',
+        usage: '{{include: guide/setup.md#install}}',
+        pattern: '^[ \\t]*\\{\\{include:[ \\t]*(?<path>[\\w-]+(?:/[\\w-]+)*\\.md)(?:#(?<section>[\\w-]+))?[ \\t]*\\}\\}[ \\t]*$',
+        flags: 'gm',
+        kind: 'block',
+        // Output is the included file rendered for the target, so only the error differs
+        replacement: {
+          html: transclude(reason => `<span class="error">${escapeHtml(reason)}</span>`),
+          text: transclude(reason => reason),
+          ansi: transclude(reason => ansi('red', reason))
+        }
+      }, { after: 'code-blocks' });
+    }
+  }
+
+  // Narrows the built-ins down to a preset or a list of names, minus any exclusions
+  _choose({ preset = 'full', features, exclude = [] }) {
+    if (!(preset in PRESETS)) {
+      throw new Error(`Preset must be one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    const unknown = [...features || [], ...exclude].find(name => !this.transforms.has(name));
+    if (unknown) {
+      throw new Error(`Feature '${unknown}' not found`);
+    }
+    // A list on its own replaces the preset; next to one it adds to it
+    const chosen = features && !this.options.preset ? [...features] : [...PRESETS[preset] || this.list(), ...features || []];
+    if (this.options.transclude) chosen.push('transclude');
+    for (const name of this.list()) {
+      if (!chosen.includes(name) || exclude.includes(name)) this.unregister(name);
+    }
   }
 
-  register(feature) {
+  // A bundle is a feature, a function that sets up the parser, or an array of bundles
+  use(bundle) {
+    for (const item of [].concat(bundle)) {
+      if (typeof item === 'function') item(this);
+      else if (Array.isArray(item)) this.use(item);
+      else this.register(item);
+    }
+    return this;
+  }
+
+  // An independent copy, so per-context changes leave the original alone. The merged
+  // options choose the built-ins again; what was registered, replaced, moved or removed since carries over
+  fork(options = {}) {
+    const copy = new this.constructor({ ...this.options, ...options });
+    for (const name of this._builtins.keys()) {
+      if (!this.transforms.has(name)) copy.unregister(name);
+    }
+    for (const [name, feature] of this.transforms) {
+      const [builtin, priority] = this._builtins.get(name) || [];
+      if (feature === builtin && feature.priority === priority) continue;
+      // A changed built-in only comes along if the copy's options kept it
+      if (!builtin || copy.transforms.has(name)) copy.transforms.set(name, { ...feature });
+    }
+    copy._sort();
+    copy.hooks = Object.fromEntries(HOOKS.map(name => [name, [...this.hooks[name]]]));
+    copy.tty = this.tty;
+    return copy;
+  }
+
+  register(feature, placement = feature) {
     if (!feature.name || !feature.pattern || !feature.replacement) {
       throw new Error('Feature must have name, pattern, and replacement');
     }
-    this.transforms.set(feature.name, feature);
+    if (typeof feature.replacement !== 'function' && typeof feature.replacement.html !== 'function') {
+      throw new Error(`Feature '${feature.name}' replacement must be a function or have an html renderer`);
+    }
+    const kind = feature.kind || 'inline';
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Feature kind must be one of: ${KINDS.join(', ')}`);
+    }
+    try {
+      new RegExp(feature.pattern, feature.flags || 'g');
+    } catch (error) {
+      throw new Error(`Feature '${feature.name}' has an invalid pattern: ${error.message}`);
+    }
+    const hazard = this.options.patternCheck !== 'off' && patternHazard(feature.pattern);
+    if (hazard) {
+      const message = `Feature '${feature.name}' pattern can backtrack catastrophically: ${hazard}`;
+      if (this.options.patternCheck !== 'warn') throw new Error(message);
+      console.warn(message);
+    }
+    const existing = this.transforms.get(feature.name);
+    const priority = this._priority({ ...feature, kind }, placement, existing?.priority);
+    this.transforms.set(feature.name, { ...feature, kind, priority });
+    this._sort();
+    return this;
+  }
+
+  // Hooks run in the order they were added; returning a string replaces the text
+  hook(name, fn) {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Hook must be one of: ${HOOKS.join(', ')}`);
+    }
+    this.hooks[name].push(fn);
+    return this;
+  }
+
+  unhook(name, fn) {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Hook must be one of: ${HOOKS.join(', ')}`);
+    }
+    this.hooks[name] = this.hooks[name].filter(hook => hook !== fn);
     return this;
   }
 
@@ -157,22 +656,395 @@ export class Chastity {
     return this;
   }
 
-  parse(markdown) {
-    let html = markdown;
+  move(name, placement) {
+    const feature = this.transforms.get(name);
+    if (!feature) {
+      throw new Error(`Feature '${name}' not found`);
+    }
+    feature.priority = this._priority(feature, placement, feature.priority);
+    this._sort();
+    return this;
+  }
 
-    for (const [name, feature] of this.transforms) {
-      const regex = new RegExp(feature.pattern, feature.flags || 'g');
-      html = html.replace(regex, (...args) => {
-        // Build named groups object
-        const groups = args[args.length - 1];
-        // If groups is an object (named groups), use it; otherwise use args array
-        return feature.replacement(typeof groups === 'object' && !Array.isArray(groups) ? groups : args);
-      });
+  // Lower priorities run first; before/after land halfway to the neighbour
+  _priority(feature, { before, after, priority } = {}, current) {
+    if (typeof priority === 'number') return priority;
+
+    const others = Array.from(this.transforms.values()).filter(f => f.name !== feature.name);
+    const anchor = before ?? after;
+    if (anchor === undefined) {
+      return current ?? Math.max(0, ...others.map(f => f.priority)) + 100;
+    }
+
+    const target = others.find(f => f.name === anchor);
+    if (!target) {
+      throw new Error(`Feature '${anchor}' not found`);
+    }
+    if (target.kind !== feature.kind) {
+      throw new Error(`Cannot place ${feature.kind} feature '${feature.name}' relative to ${target.kind} feature '${anchor}'`);
+    }
+    const phase = others.filter(f => f.kind === target.kind);
+    const index = phase.indexOf(target);
+    const neighbour = before !== undefined ? phase[index - 1] : phase[index + 1];
+    if (!neighbour) return before !== undefined ? target.priority - 100 : target.priority + 100;
+    return (target.priority + neighbour.priority) / 2;
+  }
+
+  // Block features run first, so the Map is kept in execution order
+  _sort() {
+    const rank = ({ kind, priority }) => [KINDS.indexOf(kind), priority];
+    const sorted = Array.from(this.transforms).sort(([, a], [, b]) => {
+      const [kindA, priorityA] = rank(a);
+      const [kindB, priorityB] = rank(b);
+      return kindA - kindB || priorityA - priorityB;
+    });
+    this.transforms.clear();
+    for (const [name, feature] of sorted) this.transforms.set(name, feature);
+  }
+
+  parse(markdown, options = {}) {
+    const context = this._context({ ...this.options, ...options });
+    const { html, frontMatter } = this._begin(markdown, context);
+    return this._end(html, context, frontMatter);
+  }
+
+  // Replacements may return promises; parsing waits for all of them together,
+  // so the matches of one feature are looked up concurrently
+  async parseAsync(markdown, options = {}) {
+    const context = this._context({ ...this.options, ...options });
+    context.pending = [];
+    context.chain = [];
+    try {
+      const { html, frontMatter } = this._begin(markdown, context);
+      // Settled output can start more async work, so wait until nothing is left
+      while (context.pending.length) {
+        const results = await Promise.allSettled(context.pending.splice(0));
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+      }
+      return this._end(html, context, frontMatter);
+    } finally {
+      // Replacements still running after a failure can't start any more work
+      context.ended = true;
     }
+  }
+
+  _begin(markdown, context) {
+    let html = markdown.replace(STASH_CHARS, '');
+    if (context.options.normalize) html = createNormalizer()(html);
+    html = this._beforeParse(html, context);
+
+    // Leading front matter is metadata, not content
+    const frontMatter = context.options.frontMatter ? splitFrontMatter(html) : null;
+    if (frontMatter) html = frontMatter.body;
+
+    return { html: context.block(prepareSource(html, context.options)), frontMatter };
+  }
+
+  _end(html, context, frontMatter) {
+    const { target } = context.options;
+    // Appendix output is rendered last, once every reference in the document is known
+    const appendix = context.appendix.map(output => typeof output === 'function' ? output() : output);
+    if (appendix.some(Boolean)) html = [html.trimEnd(), ...appendix].filter(Boolean).join('\n\n');
+    html = finish(html, context);
+    // A markdown round-trip keeps the document whole
+    if (frontMatter && target === 'markdown') html = frontMatter.source + html;
+    html = this._afterParse(html, context);
+    this.headings = context.headings;
+    this.meta = frontMatter ? frontMatter.meta : {};
+    this.exceeded = context.exceeded;
+    this.trace = context.trace;
+    return html;
+  }
+
+  // A web TransformStream of markdown chunks in, output out
+  createStream(options = {}) {
+    const parser = this._incremental(options);
+    const enqueue = (controller, html) => html && controller.enqueue(html);
+    return new TransformStream({
+      transform: (chunk, controller) => enqueue(controller, parser.write(chunk)),
+      flush: (controller) => enqueue(controller, parser.end())
+    });
+  }
+
+  // Yields output for any iterable or async iterable of chunks, such as a Node stream
+  async *parseStream(chunks, options = {}) {
+    const parser = this._incremental(options);
+    for await (const chunk of chunks) {
+      const html = parser.write(chunk);
+      if (html) yield html;
+    }
+    const html = parser.end();
+    if (html) yield html;
+  }
+
+  // Cuts the source at blank lines no block can continue past and renders each
+  // piece as soon as nothing in it waits on text further down, so the output
+  // joins up to exactly what parse() returns for the whole document
+  _incremental(options) {
+    const context = this._context({ ...this.options, ...options });
+    const { target } = context.options;
+    const decoder = new TextDecoder();
+    const normalize = context.options.normalize ? createNormalizer() : (text) => text;
+    let incoming = '';
+    let source = '';
+    let frontMatter = null;
+    let settled = !context.options.frontMatter;
+    // Line scanner state
+    let scanned = 0;
+    let fence = false;
+    let blank = false;
+    // Pieces waiting on a definition, and output whitespace the appendix may replace
+    let held = '';
+    let trailing = '';
+    let written = false;
+
+    const split = (final) => {
+      const pieces = [];
+      let end;
+      while ((end = source.indexOf('\n', scanned)) !== -1) {
+        const line = source.slice(scanned, end);
+        if (blank && !fence && !BLANK_LINE.test(line) && !CONTINUATION.test(line)) {
+          pieces.push(source.slice(0, scanned));
+          source = source.slice(scanned);
+          end -= scanned;
+          scanned = 0;
+        }
+        fence = fenceAfter(line, fence);
+        blank = BLANK_LINE.test(line);
+        scanned = end + 1;
+      }
+      if (final && source) pieces.push(source);
+      return pieces;
+    };
+
+    const render = (final) => {
+      const state = saveState(context);
+      context.incomplete = false;
+      // Hooks see one piece at a time here, not the whole document
+      const html = context.block(prepareSource(this._beforeParse(held, context), context.options));
+      if (context.incomplete && !final) {
+        resetState(context, state);
+        return '';
+      }
+      held = '';
+      // Trailing whitespace waits, since parse() trims it before the appendix
+      const output = trailing + html;
+      const body = output.trimEnd();
+      trailing = output.slice(body.length);
+      written ||= body !== '';
+      return body ? this._afterParse(finish(body, context), context) : '';
+    };
+
+    const process = (final) => {
+      let html = '';
+      if (!settled) {
+        if (!final && frontMatterPending(source)) return html;
+        settled = true;
+        frontMatter = splitFrontMatter(source);
+        if (frontMatter) source = frontMatter.body;
+        if (frontMatter && target === 'markdown') html += frontMatter.source;
+      }
+      for (const piece of split(final)) {
+        // Held text only settles once a definition turns up
+        const retry = !held || LINK_DEFINITION.test(piece);
+        held += piece;
+        if (retry) html += render(false);
+      }
+      if (!final) return html;
 
+      if (held) html += render(true);
+      const appendix = context.appendix.map(output => typeof output === 'function' ? output() : output).filter(Boolean);
+      // Like parse(), the appendix replaces trailing whitespace with one blank line
+      const tail = appendix.length ? (written ? '\n\n' : '') + appendix.join('\n\n') : trailing;
+      const rest = finish(tail, context);
+      html += appendix.length ? this._afterParse(rest, context) : rest;
+      this.headings = context.headings;
+      this.meta = frontMatter ? frontMatter.meta : {};
+      this.exceeded = context.exceeded;
+      this.trace = context.trace;
+      return html;
+    };
+
+    // Only whole lines are normalized, so a \r\n split across chunks is still one line ending
+    const receive = (text, final) => {
+      incoming += text.replace(STASH_CHARS, '');
+      const end = final ? incoming.length : incoming.lastIndexOf('\n') + 1;
+      source += normalize(incoming.slice(0, end));
+      incoming = incoming.slice(end);
+    };
+
+    return {
+      write: (chunk) => {
+        receive(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }), false);
+        return process(false);
+      },
+      end: () => {
+        receive(decoder.decode(), true);
+        return process(true);
+      }
+    };
+  }
+
+  _beforeParse(markdown, context) {
+    for (const hook of this.hooks.beforeParse) markdown = hook(markdown, context) ?? markdown;
+    return markdown;
+  }
+
+  _afterParse(html, context) {
+    for (const hook of this.hooks.afterParse) html = hook(html, context) ?? html;
     return html;
   }
 
+  parseWithMeta(markdown, options = {}) {
+    const html = this.parse(markdown, options);
+    return { html, meta: this.meta };
+  }
+
+  toc(markdown) {
+    if (markdown !== undefined) this.parse(markdown);
+    return renderToc(this.headings);
+  }
+
+  // Reports what every feature did to `markdown`, or to the last traced parse
+  debug(markdown, options = {}) {
+    if (markdown !== undefined) this.parse(markdown, { ...options, trace: true });
+    if (!this.trace) {
+      throw new Error('Nothing traced yet: pass markdown, or parse with { trace: true }');
+    }
+    return this.tty ? this._traceTerminal() : this._traceMarkdown();
+  }
+
+  // Per-parse state handed to every replacement as its second argument
+  _context(options) {
+    const context = {
+      options,
+      stash: [],
+      sanitizeUrl: (url) => options.safe && !isSafeUrl(url, options.schemes) ? '#' : url,
+      restore: (text) => restore(text, context.stash),
+      // Every link and image a feature renders passes through the link hooks; the URL is checked after them
+      link: (link) => {
+        link = { title: '', attributes: {}, ...link };
+        for (const hook of this.hooks.link) link = hook(link, context) ?? link;
+        return { ...link, url: context.sanitizeUrl(link.url) };
+      },
+      // Output added after the document, such as the footnotes section
+      appendix: [],
+      references: new Map(),
+      headings: [],
+      // Records a header and gives it a unique id
+      heading: (level, html, id) => {
+        const text = decodeEntities(context.restore(html).replace(/<[^>]*>/g, '').replace(ANSI_CODES, '')).trim();
+        const base = id || (options.slugify ? options.slugify(text) || 'section' : null);
+        let unique = base;
+        for (let n = 1; unique && context.headings.some(h => h.id === unique); n++) {
+          unique = `${base}-${n}`;
+        }
+        const heading = { level, text, id: unique };
+        context.headings.push(heading);
+        return heading;
+      },
+      // Set by features whose output could change with text further down the
+      // document; streams hold such blocks back until the end
+      incomplete: false,
+      // Milliseconds each feature has used, and the features a limit turned off
+      spent: new Map(),
+      nested: 0,
+      exceeded: [],
+      // Every feature application when tracing, and the ones still running
+      trace: options.trace ? [] : null,
+      steps: [],
+      tight: false,
+      // How many block() calls deep the current feature runs; see nesting()
+      depth: 0,
+      block: (text, { tight = false } = {}) => {
+        const outer = context.tight;
+        context.tight = tight;
+        context.depth++;
+        for (const feature of this._features('block')) {
+          text = this._apply(feature, text, context);
+        }
+        context.depth--;
+        context.tight = outer;
+        // Text no block feature claimed still gets inline formatting
+        return context.inline(text);
+      },
+      inline: (text) => {
+        for (const feature of this._features('inline')) {
+          text = this._apply(feature, text, context);
+        }
+        return text;
+      }
+    };
+    return context;
+  }
+
+  _features(kind) {
+    return Array.from(this.transforms.values()).filter(feature => feature.kind === kind);
+  }
+
+  _apply(feature, text, context) {
+    const render = renderer(feature, context.options.target);
+    if (!render || context.exceeded.some(({ name }) => name === feature.name)) return text;
+    for (const hook of this.hooks.beforeFeature) text = hook(feature, text, context) ?? text;
+    const { sizeLimit, timeLimit } = context.options;
+    if (text.length > sizeLimit) {
+      return exceedLimit(feature, 'size', `${sizeLimit} characters`, text, context);
+    }
+
+    const regex = new RegExp(feature.pattern, feature.flags || 'g');
+    // Time spent in the features this one calls counts against them, not this one
+    const started = performance.now();
+    const outerNested = context.nested;
+    context.nested = 0;
+    const spent = () => (context.spent.get(feature.name) || 0) + performance.now() - started - context.nested;
+    const step = context.trace && openStep(feature, text, context);
+    try {
+      let output = text.replace(regex, (...args) => {
+        if (spent() > timeLimit) throw OVER_TIME;
+        return this._replace(feature, render, args, context, step);
+      });
+      for (const hook of this.hooks.afterFeature) output = hook(feature, output, context) ?? output;
+      // A single match can't be interrupted, so the last one is checked afterwards
+      if (spent() > timeLimit) throw OVER_TIME;
+      context.spent.set(feature.name, spent());
+      if (step) closeStep(step, output, performance.now() - started - context.nested, context);
+      return output;
+    } catch (error) {
+      if (error !== OVER_TIME) throw error;
+      if (step) closeStep(step, text, performance.now() - started - context.nested, context, 'time');
+      return exceedLimit(feature, 'time', `${timeLimit}ms`, text, context);
+    } finally {
+      context.nested = outerNested + performance.now() - started;
+    }
+  }
+
+  _replace(feature, render, args, context, step) {
+    // Build named groups object
+    const groups = args[args.length - 1];
+    // If groups is an object (named groups), use it; otherwise use args array
+    let captures = typeof groups === 'object' && !Array.isArray(groups) ? groups : args;
+    // Raw features escape their own output, so they get the text as written
+    if (feature.raw && context.options.safe) captures = unescapeSource(captures);
+    // When parsing async, each replacement gets its own view of the context, so
+    // whatever it parses after an await knows which async matches it is nested in
+    const chain = context.pending && [...context.chain];
+    let output = render(captures, chain ? scopeChain(context, chain) : context);
+    // null turns the match down, leaving it as written for the features after this one
+    if (output === null) {
+      if (step) step.matches.push(traceMatch(args, captures, args[0]));
+      return args[0];
+    }
+    if (typeof output?.then === 'function') output = defer(feature, args[0], output, chain, context);
+    if (step) step.matches.push(traceMatch(args, captures, output));
+    // Block and opaque output is stashed behind a placeholder so later transforms never see it
+    if (feature.kind !== 'block' && !feature.opaque) return output;
+    // Empty block output removes the match
+    if (output === '') return output;
+    context.stash.push(output);
+    return `${STASH_OPEN}${context.stash.length - 1}${STASH_CLOSE}`;
+  }
+
 
   list() {
     return Array.from(this.transforms.keys());
@@ -195,11 +1067,7 @@ export class Chastity {
     }
 
     _helpTerminal(featureName) {
-      const blue = '\x1b[34m';
-      const green = '\x1b[32m';
-      const yellow = '\x1b[33m';
-      const reset = '\x1b[0m';
-      const bold = '\x1b[1m';
+      const { blue, green, yellow, reset, bold } = TERMINAL_COLORS;
 
       if (featureName) {
         const feature = this.transforms.get(featureName);
@@ -208,12 +1076,14 @@ export class Chastity {
           return;
         }
 
-        console.log(`\n${bold}${blue}${feature.name}${reset}`);
+        console.log(`\n${bold}${blue}${feature.name}${reset} ${yellow}(${feature.kind})${reset}`);
         console.log(`${feature.description}`);
         console.log(`\n${green}Usage:${reset}`);
         console.log(`  ${feature.usage}`);
         console.log(`\n${green}Pattern:${reset}`);
         console.log(`  ${yellow}/${feature.pattern}/${feature.flags || ''}${reset}`);
+        console.log(`\n${green}Order:${reset}`);
+        console.log(`  ${this.list().indexOf(featureName) + 1} of ${this.transforms.size} (priority ${feature.priority})`);
         console.log();
         return;
       }
@@ -222,8 +1092,9 @@ export class Chastity {
       console.log(`${yellow}For the love of Simplicity and Regular Expressions${reset}\n`);
       console.log(`${green}Registered Features:${reset}\n`);
 
+      let position = 0;
       for (const [name, feature] of this.transforms) {
-        console.log(`  ${bold}${name}${reset}`);
+        console.log(`  ${bold}${++position}. ${name}${reset} ${yellow}(${feature.kind}, priority ${feature.priority})${reset}`);
         console.log(`    ${feature.description}`);
         console.log(`    ${yellow}/${feature.pattern}/${feature.flags || ''}${reset}\n`);
       }
@@ -231,6 +1102,8 @@ export class Chastity {
       console.log(`${green}Usage:${reset}`);
       console.log(`  md.help('feature-name')  - detailed help for a feature`);
       console.log(`  md.parse(markdown)       - convert markdown to HTML`);
+      console.log(`  md.move(name, place)     - change where a feature runs`);
+      console.log(`  md.debug(markdown)       - trace what every feature did`);
       console.log(`  md.tty = true            - enable terminal colors\n`);
     }
 
@@ -245,12 +1118,16 @@ export class Chastity {
 
   ${feature.description}
 
+  **Kind:** ${feature.kind}
+
   **Usage:**
   \`\`\`
   ${feature.usage}
   \`\`\`
 
   **Pattern:** \`/${feature.pattern}/${feature.flags || ''}\`
+
+  **Order:** ${this.list().indexOf(featureName) + 1} of ${this.transforms.size} (priority ${feature.priority})
   `;
       }
 
@@ -260,13 +1137,20 @@ export class Chastity {
 
   ## Registered Features
 
+  Listed in execution order: block features first, then the inline features applied inside each block.
+
   `;
 
+      let position = 0;
       for (const [name, feature] of this.transforms) {
-        md += `### ${name}
+        md += `### ${++position}. ${name}
 
   ${feature.description}
 
+  **Kind:** ${feature.kind}
+
+  **Priority:** ${feature.priority}
+
   **Pattern:** \`/${feature.pattern}/${feature.flags || ''}\`
 
   **Usage:**
@@ -288,6 +1172,9 @@ export class Chastity {
   // Get help
   md.help('feature-name');  // Detailed help for a feature
 
+  // See what every feature matched
+  md.debug('# Hello **World**');
+
   // Terminal mode
   md.tty = true;
   md.help();  // Colored output for CLI
@@ -296,6 +1183,967 @@ export class Chastity {
 
       return md;
     }
+
+  _traceTerminal() {
+    const { blue, green, yellow, red, reset, bold } = TERMINAL_COLORS;
+    const lines = [`\n${bold}${blue}Chastity Parse Trace${reset}\n`, `${green}Steps:${reset}\n`];
+
+    this.trace.forEach((step, index) => {
+      if (!step.matches.length && !step.exceeded) return;
+      const indent = '  '.repeat(step.depth + 1);
+      const within = step.parent ? `, in ${step.parent}` : '';
+      lines.push(`${indent}${bold}${index + 1}. ${step.name}${reset} ${yellow}(${step.kind}${within}, ${countMatches(step.matches.length)}, ${formatTime(step.time)})${reset}`);
+      if (step.exceeded) lines.push(`${indent}  ${red}exceeded the ${step.exceeded} limit${reset}`);
+      for (const { match, captures, output } of step.matches) {
+        lines.push(`${indent}  ${red}- ${preview(match)}${reset}`);
+        lines.push(`${indent}  ${green}+ ${preview(output)}${reset}`);
+        lines.push(`${indent}    ${yellow}${preview(captures, 72)}${reset}`);
+      }
+    });
+
+    lines.push(`\n${green}Totals:${reset}\n`);
+    for (const { name, matches, time } of traceTotals(this.trace, this.list())) {
+      lines.push(`  ${bold}${name}${reset} ${yellow}${countMatches(matches)}, ${formatTime(time)}${reset}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  _traceMarkdown() {
+    let md = '# Chastity Parse Trace\n\n## Steps\n\nEvery feature application that matched, in the order they started.\n';
+
+    this.trace.forEach((step, index) => {
+      if (!step.matches.length && !step.exceeded) return;
+      const within = step.parent ? ` · **In:** ${step.parent}` : '';
+      md += `\n### ${index + 1}. ${step.name}\n\n**Kind:** ${step.kind}${within} · **Matches:** ${step.matches.length} · **Time:** ${formatTime(step.time)}\n`;
+      if (step.exceeded) md += `\n**Exceeded the ${step.exceeded} limit**\n`;
+      for (const { index: at, match, captures, output } of step.matches) {
+        md += `\nAt ${at}, captures \`\` ${JSON.stringify(captures)} \`\`:\n\n\`\`\`diff\n- ${JSON.stringify(match)}\n+ ${JSON.stringify(output)}\n\`\`\`\n`;
+      }
+    });
+
+    md += '\n## Totals\n\n| Feature | Matches | Time |\n| --- | ---: | ---: |\n';
+    for (const { name, matches, time } of traceTotals(this.trace, this.list())) {
+      md += `| ${name} | ${matches} | ${formatTime(time)} |\n`;
+    }
+    return md;
+  }
+}
+
+// Shared by help() and debug() in terminal mode
+const TERMINAL_COLORS = {
+  blue: '\x1b[34m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+const KINDS = ['block', 'inline'];
+
+// Built-in feature sets by name; full keeps everything
+const COMMONMARK = [
+  'code-blocks', 'indented-code', 'link-definitions', 'inline-code', 'escapes', 'images', 'links', 'reference-links',
+  'headers', 'horizontal-rule', 'unordered-list', 'ordered-list', 'bold', 'italic', 'blockquote', 'paragraphs'
+];
+const PRESETS = {
+  full: null,
+  commonmark: COMMONMARK,
+  gfm: [...COMMONMARK, 'footnotes', 'footnote-references', 'autolinks', 'task-list', 'strikethrough', 'alerts', 'tables'],
+  // Inline formatting only, for chat messages and other one-liners
+  minimal: ['inline-code', 'escapes', 'links', 'bold', 'italic', 'strikethrough'],
+  // User comments: no headers, images or tables
+  comments: [
+    'code-blocks', 'indented-code', 'link-definitions', 'inline-code', 'escapes', 'links', 'reference-links', 'autolinks',
+    'unordered-list', 'ordered-list', 'bold', 'italic', 'strikethrough', 'blockquote', 'paragraphs'
+  ]
+};
+const HOOKS = ['beforeParse', 'afterParse', 'beforeFeature', 'afterFeature', 'link'];
+
+// Placeholders for stashed regions are wrapped in Unicode private-use
+// characters, which no markdown pattern is expected to match. ANSI_ESCAPE
+// borrows the next one, so all three are removed from the input.
+const STASH_OPEN = '\uE000';
+const STASH_CLOSE = '\uE001';
+const STASH_CHARS = /[\uE000-\uE002]/g;
+const STASH_TOKEN = /\uE000(\d+)\uE001/g;
+
+// Safe mode escapes the source up front, so raw HTML and quotes never reach the output;
+// other targets aren't HTML, but terminals still obey control characters
+function prepareSource(text, { safe, target }) {
+  if (!safe) return text;
+  return target === 'html' ? escapeSource(text) : text.replace(CONTROL_CHARS, '');
+}
+
+function finish(html, { stash, options: { target } }) {
+  // Removed blocks leave no trace in plain output
+  if (target !== 'html' && target !== 'markdown') html = html.replace(/\n{3,}/g, '\n\n');
+  return restore(html, stash).replace(/\uE002/g, '\x1b[');
+}
+
+// Line endings become \n and a leading byte order mark goes. Outside code fences,
+// trailing whitespace is dropped and tabs in indentation expand to four-column stops.
+// Keeps its fence state between calls, so a stream can feed it whole lines at a time.
+// Starts only where a run of spaces starts, so long indentation is not rescanned from every space
+const TRAILING_WHITESPACE = /(?<![ \t])[ \t]+$/;
+
+function createNormalizer() {
+  let start = true;
+  let fence = null;
+  return (text) => {
+    if (start && text) {
+      text = text.replace(/^\uFEFF/, '');
+      start = false;
+    }
+    return text.replace(/\r\n?/g, '\n').split('\n').map(line => {
+      const inside = fence;
+      const trimmed = line.replace(TRAILING_WHITESPACE, '');
+      fence = fenceAfter(trimmed, fence);
+      if (inside && fence) return line;
+      return trimmed.replace(/^[ \t]+/, expandTabs);
+    }).join('\n');
+  };
+}
+
+function expandTabs(indent) {
+  let column = 0;
+  return indent.replace(/\t| /g, char => {
+    const width = char === '\t' ? 4 - column % 4 : 1;
+    column += width;
+    return ' '.repeat(width);
+  });
+}
+
+// Only blank lines outside code fences end a block, unless the next line could continue a list
+const BLANK_LINE = /^[ \t\r]*$/;
+const CONTINUATION = /^(?:[ \t]|[*+-][ \t]|\d+\.[ \t])/;
+const FENCE = /^[ \t]*(`{3,}|~{3,})(.*)$/;
+// Emphasis follows CommonMark's flanking rules: a delimiter run opens when no whitespace follows
+// and closes when none precedes it, and a run touching punctuation on its inner side needs
+// whitespace or punctuation on its outer side. _ never opens or closes inside a word, and
+// * never next to a digit, so snake_case_names and 2*3*4 stay as written
+const PUNCTUATION = '[\\p{P}\\p{S}]';
+const SPACE_OR_PUNCTUATION = '[\\s\\p{P}\\p{S}]';
+
+function emphasisPattern(stars, underscores, inner) {
+  const flanking = `(?:(?<=(?:^|${SPACE_OR_PUNCTUATION})\\*+)|(?!${PUNCTUATION}))`;
+  const open = `(?<![\\d*])${stars}(?!\\*)${flanking}|(?<![\\p{L}\\p{N}_])${underscores}(?!_)`;
+  // ** may also open just inside ***, as in ***a** b*, when no other star comes before it closes,
+  // so the * left outside never pairs with one inside
+  // A closer inside a longer run leaves the extra * for italic, as in *a **b***, when the text
+  // has no star of its own that italic could pair with it
+  const after = inner ? '(?![\\d*])|(?<=\\*\\*[^*]+\\*\\*)(?=\\*(?![\\d*]))' : '(?![\\d*])';
+  const nested = inner ? `|(?<=(?:^|[^\\d*])\\*)${inner}(?!\\*)${flanking}(?=[^*]+?${emphasisClose(inner, after)})` : '';
+  // The text ends at the next opener of the same kind or a blank line, so an opener without a
+  // closer is given up quickly instead of being carried to the end of the text
+  const text = `(?:(?!(?:${open})(?=\\S)|\\n[ \\t]*\\n)[\\s\\S])+?`;
+  return `(?<delimiter>${open}${nested})(?!\\s)(?<text>${text})${emphasisClose('\\k<delimiter>', after)}`;
+}
+
+function emphasisClose(delimiter, after) {
+  return `(?<!\\s)(?<!${delimiter})(?:(?<!${PUNCTUATION})${delimiter}|(?<=${PUNCTUATION})${delimiter}(?=$|${SPACE_OR_PUNCTUATION}))(?:(?<=\\*)(?:${after})|(?<=_)(?![\\p{L}\\p{N}_]))`;
+}
+
+// Bare URLs leave trailing punctuation and unbalanced parentheses out, and after the domain
+// they go on only from / ? # or a port. In safe mode quotes and < arrive as entities, which
+// end a URL too. Never inside a tag, or inside a link or code element
+const URL_CHAR = `(?:[^\\s<>()"'&]|&(?!quot;|#39;|lt;))`;
+const URL_PARENS = `\\([^\\s<>()"']*\\)`;
+const URL_END = `[^\\s<>()"'&?!.,:;*_~]`;
+const EMAIL = '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+';
+// @user and #123 only match when the autolinks option has a URL template for them
+function autolinkPattern({ mentions, issues } = {}) {
+  const links = [
+    `(?:<|&lt;)(?:(?<uri>[a-z][a-z\\d+.-]{1,31}:[^\\s<>]*)|(?<address>${EMAIL}))>`,
+    `(?<=^|[\\s*_~(])(?<!\\]\\()(?<url>(?:https?://[\\w-]+(?:\\.[\\w-]+)*|www\\.[\\w-]+(?:\\.[\\w-]+)+)(?:(?=[/?#:])(?:${URL_CHAR}|${URL_PARENS})*(?:${URL_END}|${URL_PARENS}))?)`,
+    `(?<![\\w.+-])(?<email>${EMAIL})`
+  ];
+  if (mentions) links.push('(?<![\\w@/.])@(?<user>[a-z\\d](?:-?[a-z\\d])*)(?![\\w@-])');
+  if (issues) links.push('(?<![\\w&#/])#(?<number>\\d+)(?!\\w)');
+  // Links, code and tags are matched whole and left alone, so nothing inside them is linked;
+  // the lookbehind skips URLs another feature already styled for the terminal
+  return `(?<tag><(?<element>a|code)[\\s>][\\s\\S]*?</\\k<element>>|<[a-z][\\w-]*(?:[\\s/][^<>]*)?>)|(?<!\\uE002[\\d;]{0,16}m\\(?)(?:${links.join('|')})`;
+}
+
+// A parse can drop a template the pattern was built with, which leaves the mention as text
+function autolinkTarget({ uri, address, url, email, user, number }, { autolinks = {} }) {
+  if (uri) return { href: uri, text: uri };
+  if (address || email) return { href: `mailto:${address || email}`, text: address || email };
+  if (url) return { href: /^www\./i.test(url) ? `http://${url}` : url, text: url };
+  const [template, value, text] = user ? [autolinks.mentions, user, `@${user}`] : [autolinks.issues, number, `#${number}`];
+  if (!template) return { href: null, text };
+  const href = typeof template === 'function' ? template(value) : template.replace(/\{(?:user|number)\}/g, encodeURIComponent(value));
+  return { href, text };
+}
+
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:/m;
+
+// The marker of the code fence still open after a line, or null outside code,
+// following the code-blocks pattern: a fence closes on the same character, at least as long
+function fenceAfter(line, open) {
+  const match = line.match(FENCE);
+  if (!open) return match && !match[2].includes('`') ? match[1] : null;
+  return match && match[1][0] === open[0] && match[1].length >= open.length ? null : open;
+}
+
+// Enough of the parse state to take back a block that has to wait
+function saveState(context) {
+  const { footnotes } = context;
+  return {
+    stash: context.stash.length,
+    appendix: context.appendix.length,
+    trace: context.trace?.length,
+    headings: context.headings.length,
+    references: new Map(context.references),
+    footnotes: footnotes && { definitions: new Map(footnotes.definitions), used: new Map(footnotes.used) }
+  };
+}
+
+function resetState(context, state) {
+  context.stash.length = state.stash;
+  context.appendix.length = state.appendix;
+  if (context.trace) context.trace.length = state.trace;
+  context.headings.length = state.headings;
+  context.references = state.references;
+  if (!state.footnotes) {
+    delete context.footnotes;
+    return;
+  }
+  // The appendix renders from these same maps, so refill them in place
+  for (const [key, saved] of Object.entries(state.footnotes)) {
+    context.footnotes[key].clear();
+    saved.forEach((value, label) => context.footnotes[key].set(label, value));
+  }
+}
+
+// Stashed functions are deferred output, rendered once the whole document is parsed
+function restore(html, stash) {
+  return html.replace(STASH_TOKEN, (_, index) => {
+    const value = stash[index];
+    return restore(typeof value === 'function' ? value() : value, stash);
+  });
+}
+
+const OVER_TIME = Symbol('over time');
+
+// The chain holds the async matches a replacement is nested in
+function scopeChain(context, chain) {
+  const enter = (parse) => (...args) => {
+    if (context.ended) throw new Error('The parse has already ended');
+    const outer = context.chain;
+    context.chain = chain;
+    try {
+      return parse(...args);
+    } finally {
+      context.chain = outer;
+    }
+  };
+  const block = enter(context.block);
+  const inline = enter(context.inline);
+  return new Proxy(context, {
+    get: (target, key) => key === 'block' ? block : key === 'inline' ? inline : target[key]
+  });
+}
+
+// Async output waits behind a placeholder until parseAsync() fills it in
+function defer({ name }, match, promise, chain, context) {
+  // Failures surface from parseAsync(), never as unhandled rejections
+  promise.catch(() => {});
+  if (!context.pending) {
+    throw new Error(`Feature '${name}' returned a promise, use parseAsync()`);
+  }
+  // Meeting the same match again means the output includes itself
+  const start = chain.findIndex(link => link.name === name && link.match === match);
+  if (start !== -1) {
+    const path = [...chain.slice(start), { match }].map(link => link.match).join(' → ');
+    throw new Error(`Feature '${name}' includes itself: ${path}`);
+  }
+  chain.push({ name, match });
+  const { depthLimit } = context.options;
+  if (chain.length > depthLimit) {
+    return exceedLimit({ name }, 'depth', `${depthLimit} levels`, match, context);
+  }
+  const index = context.stash.push('') - 1;
+  context.pending.push(promise.then(output => {
+    context.stash[index] = output;
+  }));
+  return `${STASH_OPEN}${index}${STASH_CLOSE}`;
+}
+
+// Steps are listed in the order they start, so nested features follow their caller
+function openStep({ name, kind }, text, context) {
+  const step = {
+    name,
+    kind,
+    parent: context.steps.at(-1)?.name ?? null,
+    depth: context.steps.length,
+    before: traceText(text),
+    after: null,
+    time: 0,
+    matches: []
+  };
+  context.trace.push(step);
+  context.steps.push(step);
+  return step;
+}
+
+function closeStep(step, text, time, context, exceeded) {
+  context.steps.pop();
+  Object.assign(step, { after: traceText(text), time }, exceeded && { exceeded });
+}
+
+function traceMatch(args, captures, output) {
+  const named = typeof args[args.length - 1] === 'object';
+  const offset = args.length - (named ? 3 : 2);
+  return {
+    index: args[offset],
+    match: traceText(args[0]),
+    captures: named ? { ...captures } : Array.from(captures).slice(1, offset),
+    output: traceText(output)
+  };
+}
+
+// Stashed regions show up as numbered markers, deferred output as a note
+function traceText(value) {
+  if (typeof value === 'function') return '(deferred)';
+  return String(value).replace(STASH_TOKEN, '⟦$1⟧');
+}
+
+function preview(text, length = 60) {
+  const json = JSON.stringify(text);
+  return json.length > length ? `${json.slice(0, length - 1)}…` : json;
+}
+
+function countMatches(count) {
+  return `${count} ${count === 1 ? 'match' : 'matches'}`;
+}
+
+function formatTime(ms) {
+  return `${ms.toFixed(2)}ms`;
+}
+
+// Per-feature totals, in execution order, including features that never matched
+function traceTotals(trace, names) {
+  return names.map(name => {
+    const steps = trace.filter(step => step.name === name);
+    return {
+      name,
+      matches: steps.reduce((sum, step) => sum + step.matches.length, 0),
+      time: steps.reduce((sum, step) => sum + step.time, 0)
+    };
+  });
+}
+
+// Skipping leaves the text as it was and turns the feature off for the rest of the parse
+function exceedLimit({ name }, limit, amount, text, context) {
+  if (context.options.onLimit !== 'skip') {
+    throw new Error(`Feature '${name}' exceeded the ${limit} limit of ${amount}`);
+  }
+  context.exceeded.push({ name, limit });
+  return text;
+}
+
+// Looks for repeated groups that can match the same text in more than one way,
+// the shapes behind catastrophic backtracking: (a+)+, (\w+\s?)*, (a|ab)+
+function patternHazard(pattern) {
+  let index = 0;
+  const alternatives = () => {
+    const list = [[]];
+    while (index < pattern.length && pattern[index] !== ')') {
+      if (pattern[index] === '|') {
+        list.push([]);
+        index++;
+        continue;
+      }
+      const start = index;
+      const item = { min: 1, max: 1 };
+      if (pattern[index] === '(') {
+        const open = pattern.slice(index).match(/^\((?:\?(?::|[=!]|<[=!]|<[^>]+>))?/)[0];
+        item.zeroWidth = /[=!]/.test(open);
+        index += open.length;
+        item.group = alternatives();
+        index++;
+      } else if (pattern[index] === '[') {
+        for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+          if (pattern[index] === '\\') index++;
+        }
+        index++;
+      } else if (pattern[index] === '\\') {
+        const escape = pattern.slice(index).match(/^\\(?:[pPu]\{[^}]*\}|k<[^>]+>|x[\da-fA-F]{2}|u[\da-fA-F]{4}|c[a-zA-Z]|\d+|[\s\S])/)[0];
+        item.zeroWidth = /^\\[bB]$/.test(escape);
+        index += escape.length;
+      } else {
+        item.zeroWidth = pattern[index] === '^' || pattern[index] === '$';
+        index++;
+      }
+      const quantifier = pattern.slice(index).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+      if (quantifier) {
+        const [all, low, comma, high] = quantifier;
+        [item.min, item.max] = all[0] === '*' ? [0, Infinity] : all[0] === '+' ? [1, Infinity] : all[0] === '?' ? [0, 1]
+          : [Number(low), comma ? (high ? Number(high) : Infinity) : Number(low)];
+        index += all.length;
+      }
+      item.text = pattern.slice(start, index);
+      list[list.length - 1].push(item);
+    }
+    return list;
+  };
+
+  const varies = (item) => item.max > item.min || Boolean(item.group?.some(list => list.some(varies)));
+  // True when the item can match nothing, or a varying amount of the same thing
+  const loose = (item) => item.min === 0 || item.max > item.min ||
+    Boolean(item.group?.some(list => list.every(part => part.zeroWidth || loose(part))));
+  const check = (list) => {
+    for (const item of list.flat()) {
+      const found = item.group && check(item.group);
+      if (found) return found;
+      if (!item.group || item.zeroWidth || item.max !== Infinity) continue;
+      const branches = item.group.map(branch => branch.filter(part => !part.zeroWidth));
+      if (branches.some(branch => branch.some(varies) && branch.every(loose))) {
+        return `nested quantifier in ${item.text}`;
+      }
+      const texts = branches.map(branch => branch.map(part => part.text).join(''));
+      if (texts.some((text, i) => texts.some((other, j) => i !== j && other.startsWith(text)))) {
+        return `overlapping alternatives in ${item.text}`;
+      }
+    }
+    return null;
+  };
+  return check(alternatives());
+}
+
+// A plain function is the HTML renderer. Other targets fall back to the text renderer,
+// then to the HTML output with its tags removed. Markdown output starts from the
+// source itself, so features without a markdown renderer leave their match alone.
+function renderer({ replacement }, target) {
+  const renderers = typeof replacement === 'function' ? { html: replacement } : replacement;
+  if (typeof renderers[target] === 'function') return renderers[target];
+  if (target === 'markdown') return null;
+  if (renderers.text) return renderers.text;
+  return (captures, context) => {
+    const output = renderers.html(captures, context);
+    return typeof output === 'function' ? () => stripTags(output()) : stripTags(output);
+  };
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ''));
+}
+
+// Each style resets only itself, so styles nest
+const ANSI_STYLES = {
+  bold: [1, 22], dim: [2, 22], italic: [3, 23], underline: [4, 24], strike: [9, 29],
+  red: [31, 39], green: [32, 39], yellow: [33, 39], blue: [34, 39], magenta: [35, 39]
+};
+// Stands in for ESC [ until the output is restored, so no pattern sees the bracket
+const ANSI_ESCAPE = '\uE002';
+const ANSI_CODES = /\uE002[\d;]*m/g;
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f]/g;
+const ALERT_COLORS = { note: 'blue', tip: 'green', important: 'magenta', warning: 'yellow', caution: 'red' };
+
+function ansi(styles, text) {
+  return styles.split(' ').reduceRight((inner, style) => {
+    const [on, off] = ANSI_STYLES[style];
+    return `${ANSI_ESCAPE}${on}m${inner}${ANSI_ESCAPE}${off}m`;
+  }, text);
+}
+
+function ansiLink(text, url) {
+  return text === url ? ansi('underline', url) : `${ansi('underline', text)} ${ansi('dim', `(${url})`)}`;
+}
+
+// No brackets, or reference links would claim the label
+function ansiImage(alt, url) {
+  return ansi('dim', `(image: ${alt || url})`);
+}
+
+function visibleLength(text) {
+  return text.replace(ANSI_CODES, '').length;
+}
+
+function indentLines(text, prefix) {
+  return text.replace(/^/gm, prefix);
+}
+
+// Fences indented inside list items keep their code flush left
+function unindent(code, indent) {
+  return code.replace(new RegExp(`^[ \\t]{0,${indent.length}}`, 'gm'), '');
+}
+
+function unindentBlock(code) {
+  return code.replace(/^(?: {1,4}|\t)/gm, '');
+}
+
+// The fence info string: a language, then {1,3-5} line numbers to highlight and a title
+function codeInfo(info) {
+  const [, lang, rest] = info.trim().match(/^([\w#+.-]*)(.*)$/);
+  // Kept as ranges, so {1-999999999} costs no more than {1-3}
+  const lines = (rest.match(/\{([\d,\s-]+)\}/)?.[1].split(',') || []).map(range => {
+    const [from, to = from] = range.split('-').map(Number);
+    return [from, to];
+  });
+  const title = rest.match(/\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+  return { lang, lines, title: title && (title[1] ?? title[2] ?? title[3]) };
+}
+
+// A small highlighter in the spirit of the parser: one named regex per kind of token,
+// tried in order, so comments win over the strings and keywords inside them
+const STRINGS = '"(?:\\\\.|[^\\\\"\\n])*"|\'(?:\\\\.|[^\\\\\'\\n])*\'';
+const HIGHLIGHT_LANGUAGES = {
+  js: {
+    comment: '//.*|/\\*[\\s\\S]*?\\*/',
+    string: `\`(?:\\\\[\\s\\S]|[^\\\\\`])*\`|${STRINGS}`,
+    keyword: '\\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield)\\b',
+    literal: '\\b(?:true|false|null|undefined|NaN|Infinity)\\b',
+    number: '\\b(?:0[xXoObB][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)n?\\b'
+  },
+  json: {
+    property: '"(?:\\\\.|[^\\\\"\\n])*"(?=\\s*:)',
+    string: '"(?:\\\\.|[^\\\\"\\n])*"',
+    literal: '\\b(?:true|false|null)\\b',
+    number: '-?\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b'
+  },
+  shell: {
+    comment: '(?<!\\S)#.*',
+    prompt: '^\\$(?= )',
+    string: `'[^']*'|"(?:\\\\.|[^\\\\"])*"`,
+    variable: '\\$(?:\\{[^}\\n]*\\}|\\w+|[?#@*$!0-9])',
+    keyword: '\\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|then|until|while)\\b'
+  },
+  html: {
+    comment: '<!--[\\s\\S]*?-->',
+    tag: '</?[\\w-]+(?:\\s+[^<>]*?)?/?>'
+  }
+};
+const HIGHLIGHT_ALIASES = {
+  javascript: 'js', mjs: 'js', cjs: 'js', jsx: 'js',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+  htm: 'html', xml: 'html', svg: 'html'
+};
+const tokenPattern = (tokens) => new RegExp(Object.entries(tokens).map(([name, pattern]) => `(?<${name}>${pattern})`).join('|'), 'gm');
+const HIGHLIGHT_PATTERNS = Object.fromEntries(Object.entries(HIGHLIGHT_LANGUAGES).map(([lang, tokens]) => [lang, tokenPattern(tokens)]));
+// The inside of an html tag
+const TAG_PATTERN = tokenPattern({
+  tag: '^</?[\\w-]+|/?>$',
+  string: STRINGS,
+  attribute: '[\\w:-]+(?=\\s*=)'
+});
+
+// Returns escaped HTML with <span class="hl-keyword"> and friends; languages it
+// doesn't know come back escaped only
+export function highlight(code, lang) {
+  const pattern = HIGHLIGHT_PATTERNS[HIGHLIGHT_ALIASES[lang] || lang];
+  return pattern ? highlightTokens(code, pattern) : escapeHtml(code);
+}
+
+function highlightTokens(code, pattern) {
+  let html = '';
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    const name = Object.keys(match.groups).find(key => match.groups[key] !== undefined);
+    // Tags are split up further, everything else is one token
+    const token = name === 'tag' && pattern !== TAG_PATTERN
+      ? highlightTokens(match[0], TAG_PATTERN)
+      : match[0].split('\n').map(line => line && `<span class="hl-${name}">${escapeHtml(line)}</span>`).join('\n');
+    html += escapeHtml(code.slice(last, match.index)) + token;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+function renderCode(code, { lang, lines, title }, options) {
+  let html = options.highlight?.(code, lang) ?? escapeHtml(code);
+  // Every line gets a span once any is highlighted, so styles can number them too
+  if (lines?.length) {
+    const highlighted = (number) => lines.some(([from, to]) => number >= from && number <= to);
+    html = html.replace(/\n$/, '').split('\n').map((line, index) =>
+      `<span class="${highlighted(index + 1) ? 'line highlighted' : 'line'}">${line}</span>`
+    ).join('\n') + '\n';
+  }
+  const pre = `<pre><code${lang ? ` class="language-${lang}"` : ''}>${html}</code></pre>`;
+  return title ? `<figure class="code-block">\n<figcaption>${escapeHtml(title)}</figcaption>\n${pre}\n</figure>` : pre;
+}
+
+function decodeEntities(str) {
+  return str.replace(/&(?:amp|lt|gt|quot|#39);/g, m => ({
+    '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'"
+  })[m]);
+}
+
+// Each line starting with a marker opens an item; indented lines belong to the item above
+function splitListItems(block, marker) {
+  const items = [];
+  for (const line of block.replace(/^[ \t]+/gm, indent => indent.replace(/\t/g, '    ')).split('\n')) {
+    const match = line.match(marker);
+    if (match) {
+      items.push({ marker: match, lines: [line.slice(match[0].length)] });
+    } else {
+      items[items.length - 1].lines.push(line);
+    }
+  }
+  return items;
+}
+
+// A list is loose when a blank line separates its items or the blocks inside an item
+function listItems(items, { block }) {
+  const contents = items.map(({ lines: [first, ...rest] }) => {
+    const indent = Math.min(...rest.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    return [first, ...rest.map(line => line.slice(Math.min(indent, line.length)))].join('\n');
+  });
+  const loose = contents.some((content, index) =>
+    (index < contents.length - 1 && /\n[ \t]*$/.test(content)) ||
+    /\n[ \t]*\n(?![*+-][ \t]|\d+\.[ \t]|[ \t])/.test(content.trimEnd())
+  );
+  return { loose, contents: contents.map(content => block(content.trimEnd(), { tight: !loose })) };
+}
+
+function renderListItems(items, context) {
+  return listItems(items, context).contents
+    .map(html => {
+      // Items that open with a checkbox are task list items
+      const task = /^(?:<p>)?<input type="checkbox"/.test(context.restore(html));
+      return `  <li${task ? ' class="task-list-item"' : ''}>${html}</li>`;
+    })
+    .join('\n');
+}
+
+// Lines after the first line up with the item text, so nested lists indent
+function renderTextList(items, context, marker) {
+  const { loose, contents } = listItems(items, context);
+  return contents
+    .map((content, index) => {
+      const bullet = marker(index);
+      return bullet + context.restore(content).replace(/\n(?=.)/g, `\n${' '.repeat(bullet.length)}`);
+    })
+    .join(loose ? '\n\n' : '\n');
+}
+
+// Paths are relative to the root, so the same path is always the same file
+function transclude(error) {
+  return ({ path, section }, context) => {
+    const { options } = context;
+    const { root = '.', resolve = readMarkdown } = options.transclude === true ? {} : options.transclude;
+    const target = section ? `${path}#${section}` : path;
+    const including = context.including || [];
+    const fail = (reason) => error(`Could not include ${target}${reason ? `: ${reason}` : ''}`);
+
+    if (including.includes(target)) {
+      return fail(`it includes itself (${[...including.slice(including.indexOf(target)), target].join(' → ')})`);
+    }
+    if (including.length >= options.depthLimit) {
+      return fail(`includes nest more than ${options.depthLimit} levels deep`);
+    }
+
+    const render = (source) => {
+      let markdown = source.replace(STASH_CHARS, '');
+      if (options.normalize) markdown = createNormalizer()(markdown);
+      if (options.frontMatter) markdown = splitFrontMatter(markdown)?.body ?? markdown;
+      if (section) markdown = headingSection(markdown, section, options.slugify);
+      if (markdown === null) return fail(`no section has the id '${section}'`);
+      // Includes inside the file are parsed while this one is on the list
+      context.including = [...including, target];
+      try {
+        return context.block(prepareSource(markdown.replace(/^(?:[ \t]*\n)+|\s+$/g, ''), options));
+      } finally {
+        context.including = including;
+      }
+    };
+
+    try {
+      const source = resolve(path, root);
+      return typeof source?.then === 'function' ? source.then(render, () => fail()) : render(source);
+    } catch {
+      return fail();
+    }
+  };
+}
+
+async function readMarkdown(path, root) {
+  const { readFile } = await import('node:fs/promises');
+  return readFile(`${root}/${path}`, 'utf-8');
+}
+
+const HEADER_LINE = /^(#{1,6})[ \t]+(.+)$/;
+
+// Split off here rather than in the pattern, where a lazy text would retry every run of spaces before {#id}
+function headerParts(line) {
+  line = line.trim();
+  const id = line.match(/[ \t]\{#([\w-]+)\}$/);
+  return id ? { text: line.slice(0, id.index).trimEnd(), id: id[1] } : { text: line };
+}
+
+// From the header with the given id up to the next header at the same level or above
+function headingSection(markdown, id, slugify) {
+  const lines = markdown.split('\n');
+  let fence = null;
+  let start = -1;
+  let level = 0;
+  for (let i = 0; i < lines.length; i++) {
+    fence = fenceAfter(lines[i], fence);
+    const header = !fence && lines[i].match(HEADER_LINE);
+    if (!header) continue;
+    if (start !== -1 && header[1].length <= level) return lines.slice(start, i).join('\n');
+    const { text, id: custom } = headerParts(header[2]);
+    if (start === -1 && (custom || (slugify && slugify(text))) === id) {
+      start = i;
+      level = header[1].length;
+    }
+  }
+  return start === -1 ? null : lines.slice(start).join('\n');
+}
+
+// YAML (---) or TOML (+++) front matter at the very start of the document
+const FRONT_MATTER = /^(---|\+\+\+)[ \t]*\n([\s\S]*?)\n?\1[ \t]*(?:\n|$)/;
+const FRONT_MATTER_LINE = {
+  '---': /^(?:[\w-]+[ \t]*:(?:[ \t].*)?|[ \t]*-(?:[ \t].*)?|[ \t]*#.*|[ \t]*)$/,
+  '+++': /^(?:[\w-]+[ \t]*=.*|[ \t]*#.*|[ \t]*)$/
+};
+
+// Undecided until the closing fence line is complete or a line rules front matter out
+function frontMatterPending(text) {
+  const [first, ...rest] = text.split('\n');
+  if (!rest.length) return /^(?:-{0,3}|\+{0,3}|(?:---|\+\+\+)[ \t]*)$/.test(first);
+  const fence = first.match(/^(---|\+\+\+)[ \t]*$/)?.[1];
+  if (!fence) return false;
+  for (const line of rest.slice(0, -1)) {
+    if (line.replace(TRAILING_WHITESPACE, '') === fence || !FRONT_MATTER_LINE[fence].test(line)) return false;
+  }
+  return true;
+}
+
+// Flat keys, lists and quoted strings: enough for front matter, no dependencies
+function splitFrontMatter(markdown) {
+  const match = markdown.match(FRONT_MATTER);
+  if (!match) return null;
+  const [all, fence, data] = match;
+  const lines = data.split('\n');
+  // A horizontal rule followed by ordinary text is not front matter
+  if (!lines.every(line => FRONT_MATTER_LINE[fence].test(line))) return null;
+
+  const meta = {};
+  const separator = fence === '---' ? ':' : '=';
+  let key = null;
+  for (const line of lines) {
+    if (/^[ \t]*(?:#.*)?$/.test(line)) continue;
+    const item = line.match(/^[ \t]*-(?:[ \t]+(.*))?$/);
+    if (item) {
+      if (key === null) return null;
+      if (!Array.isArray(meta[key])) meta[key] = [];
+      meta[key].push(parseScalar(item[1] ?? ''));
+      continue;
+    }
+    const index = line.indexOf(separator);
+    key = line.slice(0, index).trim();
+    meta[key] = parseScalar(line.slice(index + 1));
+  }
+  return { meta, source: all, body: markdown.slice(all.length) };
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return (value.slice(1, -1).match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,\s][^,]*/g) || []).map(parseScalar);
+  }
+  if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+    try { return JSON.parse(value); } catch { return value.slice(1, -1); }
+  }
+  if (/^'(?:[^']|'')*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+
+  const bare = value.replace(/[ \t]+#.*$/, '');
+  if (bare === '' || bare === '~' || bare === 'null') return null;
+  if (bare === 'true' || bare === 'false') return bare === 'true';
+  if (/^-?\d+(?:\.\d+)?$/.test(bare)) return Number(bare);
+  return bare;
+}
+
+// Labels match case-insensitively, ignoring runs of whitespace
+function normalizeLabel(label) {
+  return label.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+const LINK_TITLE = '"[^"]*"|\'[^\']*\'|\\([^)]*\\)|&quot;.*?&quot;|&#39;.*?&#39;';
+
+function titleText(title) {
+  return title ? title.replace(/^(?:"|'|\(|&quot;|&#39;)|(?:"|'|\)|&quot;|&#39;)$/g, '') : '';
+}
+
+// The title, then whatever the link hooks added: true writes a bare attribute, false or null none
+function linkAttributes({ title, attributes }) {
+  const extra = Object.entries(attributes)
+    .filter(([, value]) => value !== false && value != null)
+    .map(([name, value]) => value === true ? ` ${name}` : ` ${name}="${quoteAttribute(value)}"`);
+  return (title ? ` title="${quoteAttribute(title)}"` : '') + extra.join('');
+}
+
+// Whatever a link hook returns stays inside its quotes
+function quoteAttribute(value) {
+  return String(value).replace(/"/g, '&quot;');
+}
+
+// A link hook for static sites: md.hook('link', linkPolicy({ base: '/docs/', extension: '.html', external: true, lazy: true }))
+export function linkPolicy({ base, extension, external, lazy } = {}) {
+  const externalAttributes = external === true ? { rel: 'noopener nofollow', target: '_blank' } : external;
+  return (link) => {
+    let { url } = link;
+    // Local URLs have no scheme or host; relative ones don't start at the root, a fragment or a query either
+    const local = !/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url);
+    const relative = local && !/^[/#?]/.test(url);
+    if (extension && local && link.type === 'link') url = url.replace(/\.md(?=[?#]|$)/, extension);
+    if (base && relative) url = `${base.replace(/\/?$/, '/')}${url.replace(/^\.\//, '')}`;
+    const attributes = { ...link.attributes };
+    if (externalAttributes && link.type === 'link' && /^(?:https?:)?\/\//i.test(url)) Object.assign(attributes, externalAttributes);
+    if (lazy && link.type === 'image') attributes.loading = 'lazy';
+    return { ...link, url, attributes };
+  };
+}
+
+// Created by the first footnote, which also reserves the section at the end of the document
+function footnoteState(context) {
+  if (!context.footnotes) {
+    const footnotes = { definitions: new Map(), used: new Map() };
+    context.footnotes = footnotes;
+    const render = FOOTNOTE_SECTIONS[context.options.target] || FOOTNOTE_SECTIONS.text;
+    context.appendix.push(() => render(footnotes));
+  }
+  return context.footnotes;
+}
+
+// Numbers a footnote on first use; repeated uses get their own back reference ids
+function footnoteReference(label, context) {
+  const { definitions, used } = footnoteState(context);
+  const key = normalizeLabel(label);
+  if (!definitions.has(key)) {
+    context.incomplete = true;
+    return null;
+  }
+  if (!used.has(key)) used.set(key, 0);
+  const count = used.set(key, used.get(key) + 1).get(key);
+  const number = Array.from(used.keys()).indexOf(key) + 1;
+  return { number, id: count > 1 ? `fnref-${number}-${count}` : `fnref-${number}` };
+}
+
+const FOOTNOTE_SECTIONS = {
+  html: renderFootnotes,
+  text: ({ definitions, used }) =>
+    Array.from(used.keys(), (key, index) => `[${index + 1}] ${definitions.get(key)}`).join('\n'),
+  ansi: ({ definitions, used }) => {
+    if (!used.size) return '';
+    const notes = Array.from(used.keys(), (key, index) => `${ansi('blue', `[${index + 1}]`)} ${definitions.get(key)}`);
+    return [ansi('dim', '─'.repeat(20)), ...notes].join('\n');
+  }
+};
+
+function renderFootnotes({ definitions, used }) {
+  if (!used.size) return '';
+  const items = Array.from(used, ([key, count], index) => {
+    const number = index + 1;
+    const backrefs = Array.from({ length: count }, (_, n) => n === 0
+      ? `<a href="#fnref-${number}" class="footnote-backref">↩</a>`
+      : `<a href="#fnref-${number}-${n + 1}" class="footnote-backref">↩<sup>${n + 1}</sup></a>`
+    ).join(' ');
+    return `<li id="fn-${number}">${definitions.get(key)} ${backrefs}</li>`;
+  });
+  return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+// GitHub-style slugs: lowercase, punctuation dropped, spaces become dashes
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+// Nested lists follow the header levels, however many levels are skipped
+function renderToc(headings) {
+  if (!headings.length) return '';
+  let html = '<nav class="toc">\n<ul>\n';
+  const levels = [headings[0].level];
+  headings.forEach((heading, index) => {
+    if (index > 0) {
+      if (heading.level > levels[levels.length - 1]) {
+        html += '\n<ul>\n';
+        levels.push(heading.level);
+      } else {
+        html += '</li>\n';
+        while (levels.length > 1 && heading.level <= levels[levels.length - 2]) {
+          html += '</ul>\n</li>\n';
+          levels.pop();
+        }
+        levels[levels.length - 1] = heading.level;
+      }
+    }
+    const label = escapeHtml(heading.text);
+    html += heading.id ? `<li><a href="#${heading.id}">${label}</a>` : `<li>${label}`;
+  });
+  html += '</li>\n' + '</ul>\n</li>\n'.repeat(levels.length - 1);
+  return html + '</ul>\n</nav>';
+}
+
+function tocOf(context, render) {
+  context.incomplete = true;
+  return render;
+}
+
+function renderTextToc(headings, marker) {
+  const top = Math.min(...headings.map(heading => heading.level));
+  return headings.map(heading => '  '.repeat(heading.level - top) + marker + heading.text).join('\n');
+}
+
+// Quotes and lists parse their content with block(), so each level of nesting goes one call deeper.
+// Past the depth limit they leave the markers as text instead of running out of stack
+function nesting(replacement) {
+  return Object.fromEntries(Object.entries(replacement).map(([target, render]) => [
+    target,
+    (captures, context) => context.depth > context.options.depthLimit ? null : render(captures, context)
+  ]));
+}
+
+// Removes one level of > markers
+function unquote(text) {
+  return text.replace(/^>[ \t]?/gm, '');
+}
+
+function tableAlignment(separator) {
+  return splitTableRow(separator).map(cell =>
+    /^:-+:$/.test(cell) ? 'center' : /^:/.test(cell) ? 'left' : /:$/.test(cell) ? 'right' : null
+  );
+}
+
+function tableRows(rows) {
+  return rows.split('\n').filter(line => line.trim());
+}
+
+// Cells are separated by unescaped pipes; outer pipes are optional
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+const DEFAULT_SCHEMES = ['http', 'https', 'mailto'];
+
+// Browsers ignore whitespace and control characters inside a scheme
+function isSafeUrl(url, schemes) {
+  const scheme = url.replace(/[\x00-\x20]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+  return !scheme || schemes.includes(scheme[1].toLowerCase());
+}
+
+// Everything a tag or attribute needs; '>' is left alone so blockquotes still match
+function escapeSource(str) {
+  return str.replace(/[&<"']/g, m => ({
+    '&': '&amp;', '<': '&lt;', '"': '&quot;', "'": '&#39;'
+  })[m]);
+}
+
+function unescapeSource(captures) {
+  const unescape = (value) => typeof value !== 'string' ? value : value.replace(/&(?:amp|lt|quot|#39);/g, m => ({
+    '&amp;': '&', '&lt;': '<', '&quot;': '"', '&#39;': "'"
+  })[m]);
+  if (Array.isArray(captures)) return captures.map(unescape);
+  return Object.fromEntries(Object.entries(captures).map(([key, value]) => [key, unescape(value)]));
 }
 
 function escapeHtml(str) {
@@ -1,6 +1,9 @@
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
-import Chastity from './index.js';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Chastity, { highlight, linkPolicy } from './index.js';
 
 describe('Chastity Markdown Parser', () => {
   describe('Constructor', () => {
@@ -15,9 +18,13 @@ describe('Chastity Markdown Parser', () => {
       const md = new Chastity();
       const expected = [
         'code-blocks',
+        'link-definitions',
+        'footnotes',
         'inline-code',
         'images',
         'links',
+        'reference-links',
+        'footnote-references',
         'headers',
         'horizontal-rule',
         'bold',
@@ -25,7 +32,12 @@ describe('Chastity Markdown Parser', () => {
         'strikethrough',
         'unordered-list',
         'ordered-list',
+        'alerts',
         'blockquote',
+        'tables',
+        'toc',
+        'task-list',
+        'definition-list',
         'paragraphs'
       ];
       const features = md.list();
@@ -39,16 +51,181 @@ describe('Chastity Markdown Parser', () => {
     test('should parse h1 header', () => {
       const md = new Chastity();
       const html = md.parse('# Hello World');
-      assert.ok(html.includes('<h1>Hello World</h1>'));
+      assert.ok(html.includes('<h1 id="hello-world">Hello World</h1>'));
     });
 
     test('should parse h2-h6 headers', () => {
       const md = new Chastity();
-      assert.ok(md.parse('## Level 2').includes('<h2>Level 2</h2>'));
-      assert.ok(md.parse('### Level 3').includes('<h3>Level 3</h3>'));
-      assert.ok(md.parse('#### Level 4').includes('<h4>Level 4</h4>'));
-      assert.ok(md.parse('##### Level 5').includes('<h5>Level 5</h5>'));
-      assert.ok(md.parse('###### Level 6').includes('<h6>Level 6</h6>'));
+      assert.ok(md.parse('## Level 2').includes('<h2 id="level-2">Level 2</h2>'));
+      assert.ok(md.parse('### Level 3').includes('<h3 id="level-3">Level 3</h3>'));
+      assert.ok(md.parse('#### Level 4').includes('<h4 id="level-4">Level 4</h4>'));
+      assert.ok(md.parse('##### Level 5').includes('<h5 id="level-5">Level 5</h5>'));
+      assert.ok(md.parse('###### Level 6').includes('<h6 id="level-6">Level 6</h6>'));
+    });
+  });
+
+  describe('Heading IDs and Table of Contents', () => {
+    test('should de-duplicate ids across a document', () => {
+      const md = new Chastity();
+      const html = md.parse('# Intro\n## Intro\n## Intro');
+      assert.ok(html.includes('<h1 id="intro">'));
+      assert.ok(html.includes('<h2 id="intro-1">'));
+      assert.ok(html.includes('<h2 id="intro-2">'));
+    });
+
+    test('should slug the text without markup or punctuation', () => {
+      const md = new Chastity();
+      const html = md.parse('## Install `npm` & *Run*!');
+      assert.ok(html.includes('<h2 id="install-npm-run">'));
+    });
+
+    test('should start over for each document', () => {
+      const md = new Chastity();
+      md.parse('# Intro');
+      assert.ok(md.parse('# Intro').includes('<h1 id="intro">'));
+    });
+
+    test('should accept custom ids', () => {
+      const md = new Chastity();
+      const html = md.parse('## Getting Started {#start}\n## Start');
+      assert.ok(html.includes('<h2 id="start">Getting Started</h2>'));
+      assert.ok(html.includes('<h2 id="start-1">Start</h2>'));
+    });
+
+    test('should parse a header with a long run of spaces in linear time', () => {
+      const md = new Chastity();
+      const html = md.parse(`# a${' '.repeat(40000)}b {#x}`, { timeLimit: 1000 });
+      assert.strictEqual(html, `<h1 id="x">a${' '.repeat(40000)}b</h1>`);
+    });
+
+    test('should use a pluggable slugger', () => {
+      const md = new Chastity({ slugify: text => `s-${text.length}` });
+      assert.ok(md.parse('# Hello').includes('<h1 id="s-5">'));
+    });
+
+    test('should omit ids when slugify is disabled', () => {
+      const md = new Chastity({ slugify: false });
+      assert.ok(md.parse('# Hello').includes('<h1>Hello</h1>'));
+      assert.ok(md.parse('# Hello {#kept}').includes('<h1 id="kept">Hello</h1>'));
+    });
+
+    test('should collect headings during parse()', () => {
+      const md = new Chastity();
+      md.parse('# One\n## Two');
+      assert.deepStrictEqual(md.headings, [
+        { level: 1, text: 'One', id: 'one' },
+        { level: 2, text: 'Two', id: 'two' }
+      ]);
+    });
+
+    test('should build a nested table of contents', () => {
+      const md = new Chastity();
+      const toc = md.toc('# A\n## B\n### C\n## D\n# E');
+      assert.strictEqual(toc, [
+        '<nav class="toc">',
+        '<ul>',
+        '<li><a href="#a">A</a>',
+        '<ul>',
+        '<li><a href="#b">B</a>',
+        '<ul>',
+        '<li><a href="#c">C</a></li>',
+        '</ul>',
+        '</li>',
+        '<li><a href="#d">D</a></li>',
+        '</ul>',
+        '</li>',
+        '<li><a href="#e">E</a></li>',
+        '</ul>',
+        '</nav>'
+      ].join('\n'));
+    });
+
+    test('should build the toc of the last parse', () => {
+      const md = new Chastity();
+      md.parse('# Only');
+      assert.ok(md.toc().includes('<a href="#only">Only</a>'));
+      assert.strictEqual(new Chastity().toc(), '');
+    });
+
+    test('should replace the [[toc]] marker, including later headers', () => {
+      const md = new Chastity();
+      const html = md.parse('[[toc]]\n\n# First\n\n## Second');
+      assert.ok(html.startsWith('<nav class="toc">'));
+      assert.ok(html.includes('<a href="#second">Second</a>'));
+      assert.ok(!html.includes('[[toc]]'));
+    });
+  });
+
+  describe('Front Matter', () => {
+    test('should strip YAML front matter from the output', () => {
+      const md = new Chastity();
+      const html = md.parse('---\ntitle: Hello\n---\n# Body');
+      assert.strictEqual(html, '<h1 id="body">Body</h1>');
+    });
+
+    test('should return metadata alongside the HTML', () => {
+      const md = new Chastity();
+      const { html, meta } = md.parseWithMeta('---\ntitle: Hello\ndraft: true\ncount: 3\n---\ntext');
+      assert.strictEqual(html, '<p>text</p>');
+      assert.deepStrictEqual(meta, { title: 'Hello', draft: true, count: 3 });
+    });
+
+    test('should parse quoted strings and lists', () => {
+      const md = new Chastity();
+      const { meta } = md.parseWithMeta([
+        '---',
+        'title: "Colons: fine"',
+        "quote: 'it''s'",
+        'tags: [a, "b, c"]',
+        'authors:',
+        '  - Ann',
+        '  - Bo',
+        'empty:',
+        '# a comment',
+        '---',
+        ''
+      ].join('\n'));
+      assert.deepStrictEqual(meta, {
+        title: 'Colons: fine',
+        quote: "it's",
+        tags: ['a', 'b, c'],
+        authors: ['Ann', 'Bo'],
+        empty: null
+      });
+    });
+
+    test('should parse TOML front matter', () => {
+      const md = new Chastity();
+      const { html, meta } = md.parseWithMeta('+++\ntitle = "Hello"\ntags = ["x", "y"]\n+++\ntext');
+      assert.strictEqual(html, '<p>text</p>');
+      assert.deepStrictEqual(meta, { title: 'Hello', tags: ['x', 'y'] });
+    });
+
+    test('should expose the metadata of the last parse', () => {
+      const md = new Chastity();
+      md.parse('---\ntitle: One\n---\n');
+      assert.deepStrictEqual(md.meta, { title: 'One' });
+      md.parse('no front matter');
+      assert.deepStrictEqual(md.meta, {});
+    });
+
+    test('should keep horizontal rules around ordinary text', () => {
+      const md = new Chastity();
+      const { html, meta } = md.parseWithMeta('---\nJust text\n---');
+      assert.ok(html.includes('<hr>'));
+      assert.ok(html.includes('<p>Just text</p>'));
+      assert.deepStrictEqual(meta, {});
+    });
+
+    test('should only read front matter at the start of the document', () => {
+      const md = new Chastity();
+      const html = md.parse('intro\n\n---\ntitle: x\n---');
+      assert.ok(html.includes('<hr>'));
+    });
+
+    test('should leave front matter alone when disabled', () => {
+      const md = new Chastity({ frontMatter: false });
+      assert.ok(md.parse('---\ntitle: x\n---').includes('<hr>'));
     });
   });
 
@@ -77,6 +254,78 @@ describe('Chastity Markdown Parser', () => {
       assert.ok(html.includes('<strong>bold</strong>'));
       assert.ok(html.includes('<em>italic</em>'));
     });
+
+    test('should parse underscore emphasis', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('__bold__ and _italic_'), '<p><strong>bold</strong> and <em>italic</em></p>');
+      assert.strictEqual(md.parse('___both___'), '<p><em><strong>both</strong></em></p>');
+    });
+
+    test('should nest emphasis in either direction', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('**bold with *italic* inside**'), '<p><strong>bold with <em>italic</em> inside</strong></p>');
+      assert.strictEqual(md.parse('*italic with **bold** inside*'), '<p><em>italic with <strong>bold</strong> inside</em></p>');
+      assert.strictEqual(md.parse('__bold _and_ *mixed*__'), '<p><strong>bold <em>and</em> <em>mixed</em></strong></p>');
+      assert.strictEqual(md.parse('***both***'), '<p><em><strong>both</strong></em></p>');
+      assert.strictEqual(md.parse('**foo *bar***'), '<p><strong>foo <em>bar</em></strong></p>');
+      assert.strictEqual(md.parse('***foo** bar*'), '<p><em><strong>foo</strong> bar</em></p>');
+      assert.strictEqual(md.parse('*foo **bar***'), '<p><em>foo <strong>bar</strong></em></p>');
+    });
+
+    test('should give up on unclosed delimiters in linear time', () => {
+      const md = new Chastity();
+      for (const unit of ['**a ', '*a ', '_a ', '__a ']) {
+        const text = unit.repeat(10000).trim();
+        assert.strictEqual(md.parse(text, { timeLimit: 1000 }), `<p>${text}</p>`);
+      }
+      assert.strictEqual(md.parse('**foo **bar**'), '<p>**foo <strong>bar</strong></p>');
+      assert.strictEqual(md.parse('**foo\n\nbar**'), '<p>**foo</p>\n\n<p>bar**</p>');
+    });
+
+    test('should follow the flanking rules', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('snake_case_names and my__init__.py'), '<p>snake_case_names and my__init__.py</p>');
+      assert.strictEqual(md.parse('_foo_bar_baz_'), '<p><em>foo_bar_baz</em></p>');
+      assert.strictEqual(md.parse('2*3*4 and a * b * c'), '<p>2*3*4 and a * b * c</p>');
+      assert.strictEqual(md.parse('** not bold** and foo*bar*'), '<p>** not bold** and foo<em>bar</em></p>');
+      assert.strictEqual(md.parse('**foo "*bar*" foo**'), '<p><strong>foo "<em>bar</em>" foo</strong></p>');
+      assert.strictEqual(md.parse('*$*alpha.'), '<p>*$*alpha.</p>');
+    });
+
+    test('should render bold italic in other targets', () => {
+      const md = new Chastity({ target: 'text' });
+      assert.strictEqual(md.parse('***both*** and __bold__'), 'both and bold');
+      assert.strictEqual(md.parse('***x***', { target: 'ansi' }), '\x1b[1m\x1b[3mx\x1b[23m\x1b[22m');
+    });
+  });
+
+  describe('Backslash Escapes', () => {
+    test('should keep escaped punctuation literal', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('\\*not italic\\* and \\_not\\_ \\~~kept~~'), '<p>*not italic* and _not_ ~~kept~~</p>');
+      assert.strictEqual(md.parse('\\# not a heading'), '<p># not a heading</p>');
+      assert.strictEqual(md.parse('\\- not a list'), '<p>- not a list</p>');
+      assert.strictEqual(md.parse('\\[not a link](/foo) \\![alt](x.png)'), '<p>[not a link](/foo) !<a href="x.png">alt</a></p>');
+      assert.strictEqual(md.parse('[a\\]b](/u)'), '<p><a href="/u">a]b</a></p>');
+      assert.strictEqual(md.parse('\\\\*em*'), '<p>\\<em>em</em></p>');
+    });
+
+    test('should leave backslashes in code alone', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('`\\*` and \\`not code`'), '<p><code>\\*</code> and `not code`</p>');
+      assert.strictEqual(md.parse('```\n\\*\n```'), '<pre><code>\\*\n</code></pre>');
+    });
+
+    test('should escape HTML characters', () => {
+      assert.strictEqual(new Chastity().parse('\\<b> \\&'), '<p>&lt;b> &amp;</p>');
+      assert.strictEqual(new Chastity({ safe: true }).parse('\\<b> \\&'), '<p>&lt;b> &amp;</p>');
+    });
+
+    test('should keep escapes in the markdown target', () => {
+      const md = new Chastity({ target: 'markdown' });
+      assert.strictEqual(md.parse('\\*a\\* **b**'), '\\*a\\* **b**');
+      assert.strictEqual(md.parse('\\*a\\*', { target: 'text' }), '*a*');
+    });
   });
 
   describe('Links and Images', () => {
@@ -99,6 +348,200 @@ describe('Chastity Markdown Parser', () => {
     });
   });
 
+  describe('Autolinks', () => {
+    test('should link angle autolinks', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('<https://a.com/?x=1&y=2> or <me@example.com>'), '<p><a href="https://a.com/?x=1&amp;y=2">https://a.com/?x=1&amp;y=2</a> or <a href="mailto:me@example.com">me@example.com</a></p>');
+    });
+
+    test('should link bare URLs without trailing punctuation', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('See https://example.com/docs.'), '<p>See <a href="https://example.com/docs">https://example.com/docs</a>.</p>');
+      assert.strictEqual(md.parse('Visit www.example.com, or not'), '<p>Visit <a href="http://www.example.com">www.example.com</a>, or not</p>');
+      assert.strictEqual(md.parse('(see https://x.com/a_(b))'), '<p>(see <a href="https://x.com/a_(b)">https://x.com/a_(b)</a>)</p>');
+      assert.strictEqual(md.parse('**http://localhost:3000/a*b**'), '<p><strong><a href="http://localhost:3000/a*b">http://localhost:3000/a*b</a></strong></p>');
+      assert.strictEqual(md.parse('nohttps://x.com'), '<p>nohttps://x.com</p>');
+    });
+
+    test('should link bare emails', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('Mail someone@example.com.'), '<p>Mail <a href="mailto:someone@example.com">someone@example.com</a>.</p>');
+    });
+
+    test('should not link inside code, links or tags', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('`https://a.com`'), '<p><code>https://a.com</code></p>');
+      assert.strictEqual(md.parse('[https://a.com](https://b.com)'), '<p><a href="https://b.com">https://a.com</a></p>');
+      assert.strictEqual(md.parse('![https://a.com](https://b.com/x.png)'), '<p><img src="https://b.com/x.png" alt="https://a.com"></p>');
+      assert.strictEqual(md.parse('<a href="https://a.com">https://a.com</a>'), '<a href="https://a.com">https://a.com</a>');
+      assert.strictEqual(md.parse('```\nhttps://a.com\n```'), '<pre><code>https://a.com\n</code></pre>');
+    });
+
+    test('should link mentions and issues from templates', () => {
+      const md = new Chastity({ autolinks: { mentions: 'https://github.com/{user}', issues: (number) => `/issues/${number}` } });
+      assert.strictEqual(md.parse('Thanks @cat-pea, see #12 and a@b.co'), '<p>Thanks <a href="https://github.com/cat-pea">@cat-pea</a>, see <a href="/issues/12">#12</a> and <a href="mailto:a@b.co">a@b.co</a></p>');
+      assert.strictEqual(md.parse('&#35; x#1 @'), '<p>&#35; x#1 @</p>');
+      assert.strictEqual(new Chastity().parse('@cat #12'), '<p>@cat #12</p>');
+    });
+
+    test('should check schemes and escape in safe mode', () => {
+      const md = new Chastity({ safe: true });
+      assert.strictEqual(md.parse('<javascript:alert(1)> <https://a.com/?a&b>'), '<p><a href="#">javascript:alert(1)</a> <a href="https://a.com/?a&amp;b">https://a.com/?a&amp;b</a></p>');
+      assert.strictEqual(md.parse('"https://a.com"'), '<p>&quot;https://a.com&quot;</p>');
+    });
+
+    test('should render in other targets', () => {
+      const ESC = '\x1b[';
+      assert.strictEqual(new Chastity({ target: 'text' }).parse('<https://a.com> and www.b.com'), 'https://a.com and www.b.com');
+      const ansi = new Chastity({ target: 'ansi' });
+      assert.strictEqual(ansi.parse('https://a.com'), `${ESC}4mhttps://a.com${ESC}24m`);
+      assert.strictEqual(ansi.parse('[a](https://a.com)'), `${ESC}4ma${ESC}24m ${ESC}2m(https://a.com)${ESC}22m`);
+    });
+
+    test('should scan a large document once', () => {
+      const md = new Chastity();
+      const text = Array.from({ length: 4000 }, (_, i) => i % 50 ? `line ${i} of text` : `see https://b.com/${i}`).join('\n');
+      const html = md.parse(text, { timeLimit: 1000 });
+      assert.strictEqual(html.match(/<a /g).length, 80);
+    });
+  });
+
+  describe('Link Hooks', () => {
+    test('should read image titles and sizes', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('![a](x.png "A title" =640x480)'), '<p><img src="x.png" alt="a" title="A title" width="640" height="480"></p>');
+      assert.strictEqual(md.parse('![a](x.png =x20) ![b](y.png =100x)'), '<p><img src="x.png" alt="a" height="20"> <img src="y.png" alt="b" width="100"></p>');
+    });
+
+    test('should pass every link and image through the hook', () => {
+      const md = new Chastity();
+      const seen = [];
+      md.hook('link', (link) => {
+        seen.push([link.type, link.url, link.title]);
+        return { ...link, url: link.url.toUpperCase(), attributes: { ...link.attributes, 'data-x': 1, hidden: true, skip: false } };
+      });
+      const html = md.parse('[a](/a "t") ![b](/b) [c][c] https://d.com\n\n[c]: /c').trim();
+      assert.strictEqual(html, '<p><a href="/A" title="t" data-x="1" hidden>a</a> <img src="/B" alt="b" data-x="1" hidden> <a href="/C" data-x="1" hidden>c</a> <a href="HTTPS://D.COM" data-x="1" hidden>https://d.com</a></p>');
+      assert.deepStrictEqual(seen, [['image', '/b', ''], ['link', '/a', 't'], ['link', '/c', ''], ['link', 'https://d.com', '']]);
+    });
+
+    test('should keep the link when a hook returns nothing', () => {
+      const md = new Chastity().hook('link', (link) => { link.attributes.rel = 'me'; });
+      assert.strictEqual(md.parse('[a](/a)'), '<p><a href="/a" rel="me">a</a></p>');
+    });
+
+    test('should check URLs after the hooks in safe mode', () => {
+      const md = new Chastity({ safe: true }).hook('link', (link) => ({ ...link, url: 'javascript:alert(1)' }));
+      assert.strictEqual(md.parse('[a](/a) ![b](/b)'), '<p><a href="#">a</a> <img src="#" alt="b"></p>');
+    });
+
+    test('should keep quotes from a hook inside the attribute', () => {
+      const md = new Chastity({ safe: true }).hook('link', (link) => ({ ...link, url: `${link.url}"onmouseover="x`, text: `${link.text}"` }));
+      assert.strictEqual(md.parse('[a](http://x) ![b](/b) [c]\n\n[c]: /c').trim(),
+        '<p><a href="http://x&quot;onmouseover=&quot;x">a"</a> <img src="/b&quot;onmouseover=&quot;x" alt="b&quot;"> <a href="/c&quot;onmouseover=&quot;x">c"</a></p>');
+    });
+
+    test('should rewrite links with linkPolicy()', () => {
+      const md = new Chastity().hook('link', linkPolicy({ base: '/docs/', extension: '.html', external: true, lazy: true }));
+      assert.strictEqual(md.parse('[a](guide/setup.md#install) [b](/index.md) [c](#top) [d](https://x.com/a.md)'),
+        '<p><a href="/docs/guide/setup.html#install">a</a> <a href="/index.html">b</a> <a href="#top">c</a> <a href="https://x.com/a.md" rel="noopener nofollow" target="_blank">d</a></p>');
+      assert.strictEqual(md.parse('![i](./img/a.png) ![j](https://cdn.com/b.png)'),
+        '<p><img src="/docs/img/a.png" alt="i" loading="lazy"> <img src="https://cdn.com/b.png" alt="j" loading="lazy"></p>');
+      const custom = new Chastity().hook('link', linkPolicy({ external: { rel: 'external' } }));
+      assert.strictEqual(custom.parse('[a](//x.com) [b](b.md)'), '<p><a href="//x.com" rel="external">a</a> <a href="b.md">b</a></p>');
+    });
+
+    test('should use resolved URLs in the ANSI target', () => {
+      const md = new Chastity({ target: 'ansi' }).hook('link', linkPolicy({ base: '/docs' }));
+      assert.strictEqual(md.parse('[a](b)'), '\x1b[4ma\x1b[24m \x1b[2m(/docs/b)\x1b[22m');
+    });
+
+    test('should copy link hooks with fork()', () => {
+      const md = new Chastity().hook('link', linkPolicy({ extension: '.html' }));
+      assert.strictEqual(md.fork().parse('[a](a.md)'), '<p><a href="a.html">a</a></p>');
+    });
+  });
+
+  describe('References and Footnotes', () => {
+    test('should render link titles', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('[x](https://a.com "Title")').includes('<a href="https://a.com" title="Title">x</a>'));
+      assert.ok(md.parse("[x](https://a.com 'It\"s')").includes('<a href="https://a.com" title="It&quot;s">x</a>'));
+    });
+
+    test('should resolve reference links defined later', () => {
+      const md = new Chastity();
+      const html = md.parse('See [the docs][docs].\n\n[docs]: https://example.com "Docs"');
+      assert.ok(html.includes('<a href="https://example.com" title="Docs">the docs</a>'));
+      assert.ok(!html.includes('[docs]:'));
+    });
+
+    test('should resolve collapsed and shortcut references case-insensitively', () => {
+      const md = new Chastity();
+      const html = md.parse('[Docs][] and [DOCS]\n\n[docs]: /docs.html');
+      assert.strictEqual(html.match(/<a href="\/docs.html">/g).length, 2);
+    });
+
+    test('should resolve reference images', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('![Logo][logo]\n\n[logo]: logo.png').includes('<img src="logo.png" alt="Logo">'));
+    });
+
+    test('should leave undefined references as written', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('[a][missing] and [b]').includes('<p>[a][missing] and [b]</p>'));
+    });
+
+    test('should keep definitions inside code', () => {
+      const md = new Chastity();
+      const html = md.parse('```\n[x]: /url\n```');
+      assert.ok(html.includes('[x]: /url'));
+    });
+
+    test('should sanitize reference URLs in safe mode', () => {
+      const md = new Chastity({ safe: true });
+      assert.ok(md.parse('[x][a]\n\n[a]: javascript:alert(1)').includes('<a href="#">x</a>'));
+    });
+
+    test('should number footnotes by first reference', () => {
+      const md = new Chastity();
+      const html = md.parse('One[^b] two[^a]\n\n[^a]: Note A\n[^b]: Note **B**');
+      assert.ok(html.includes('One<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>'));
+      assert.ok(html.includes('two<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup>'));
+      assert.ok(html.endsWith([
+        '<section class="footnotes">',
+        '<ol>',
+        '<li id="fn-1">Note <strong>B</strong> <a href="#fnref-1" class="footnote-backref">↩</a></li>',
+        '<li id="fn-2">Note A <a href="#fnref-2" class="footnote-backref">↩</a></li>',
+        '</ol>',
+        '</section>'
+      ].join('\n')));
+    });
+
+    test('should link back to every reference of a footnote', () => {
+      const md = new Chastity();
+      const html = md.parse('a[^1] b[^1]\n\n[^1]: Note');
+      assert.ok(html.includes('id="fnref-1-2"'));
+      assert.ok(html.includes('<a href="#fnref-1-2" class="footnote-backref">↩<sup>2</sup></a>'));
+    });
+
+    test('should join indented footnote continuation lines', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('a[^1]\n\n[^1]: first\n    second').includes('<li id="fn-1">first second '));
+    });
+
+    test('should omit the section when no footnote is referenced', () => {
+      const md = new Chastity();
+      const html = md.parse('text\n\n[^1]: Unused');
+      assert.strictEqual(html.trim(), '<p>text</p>');
+    });
+
+    test('should leave undefined footnote references as written', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('a[^nope]').includes('<p>a[^nope]</p>'));
+    });
+  });
+
   describe('Code', () => {
     test('should parse inline code', () => {
       const md = new Chastity();
@@ -116,7 +559,7 @@ describe('Chastity Markdown Parser', () => {
     test('should parse code blocks with language', () => {
       const md = new Chastity();
       const html = md.parse('```javascript\nconst x = 42;\n```');
-      assert.ok(html.includes('<pre><code class="javascript">'));
+      assert.ok(html.includes('<pre><code class="language-javascript">'));
       assert.ok(html.includes('const x = 42;'));
     });
 
@@ -133,64 +576,92 @@ describe('Chastity Markdown Parser', () => {
       assert.ok(html.includes('&lt;div&gt;'));
       assert.ok(!html.includes('<div>') || html.match(/<div>/g).length === 0);
     });
-  });
 
-  describe('Lists', () => {
-    test('should parse unordered list with dash', () => {
+    test('should parse tilde fences and longer fences', () => {
       const md = new Chastity();
-      const html = md.parse('- item one\n- item two\n- item three');
-      assert.ok(html.includes('<ul>'));
-      assert.ok(html.includes('<li>item one</li>'));
-      assert.ok(html.includes('<li>item two</li>'));
-      assert.ok(html.includes('</ul>'));
+      assert.strictEqual(md.parse('~~~sh\n```\n~~~'), '<pre><code class="language-sh">```\n</code></pre>');
+      assert.strictEqual(md.parse('````\n```\n````'), '<pre><code>```\n</code></pre>');
     });
 
-    test('should parse unordered list with asterisk', () => {
+    test('should parse indented code blocks', () => {
       const md = new Chastity();
-      const html = md.parse('* item one\n* item two');
-      assert.ok(html.includes('<ul>'));
-      assert.ok(html.includes('<li>item one</li>'));
+      assert.strictEqual(md.parse('Run:\n\n    npm test\n\n\tnode <x>\n\nDone'), '<p>Run:</p>\n\n<pre><code>npm test\n\nnode &lt;x&gt;\n</code></pre>\n\n<p>Done</p>');
+      assert.strictEqual(md.parse('Text\n    more text'), '<p>Text     more text</p>');
+      assert.strictEqual(md.parse('- item\n\n    - nested'), md.parse('- item\n\n  - nested'));
     });
 
-    test('should parse ordered list', () => {
+    test('should read the fence info string', () => {
       const md = new Chastity();
-      const html = md.parse('1. first\n2. second\n3. third');
-      assert.ok(html.includes('<ol>'));
-      assert.ok(html.includes('<li>first</li>'));
-      assert.ok(html.includes('<li>second</li>'));
-      assert.ok(html.includes('</ol>'));
+      assert.strictEqual(
+        md.parse('```js {1,3-4} title="app.js"\na\nb\nc\nd\ne\n```'),
+        '<figure class="code-block">\n<figcaption>app.js</figcaption>\n<pre><code class="language-js">' +
+        '<span class="line highlighted">a</span>\n<span class="line">b</span>\n<span class="line highlighted">c</span>\n' +
+        '<span class="line highlighted">d</span>\n<span class="line">e</span>\n</code></pre>\n</figure>'
+      );
+      assert.strictEqual(md.parse('```js {2-999999999}\na\nb\n```', { safe: true, timeLimit: 1000 }), '<pre><code class="language-js"><span class="line">a</span>\n<span class="line highlighted">b</span>\n</code></pre>');
+      assert.strictEqual(md.parse('```sh title=\'<i>\'\nx\n```', { safe: true }), '<figure class="code-block">\n<figcaption>&lt;i&gt;</figcaption>\n<pre><code class="language-sh">x\n</code></pre>\n</figure>');
     });
-  });
 
-  describe('Other Elements', () => {
-    test('should parse blockquote', () => {
-      const md = new Chastity();
-      const html = md.parse('> This is a quote');
-      assert.ok(html.includes('<blockquote>This is a quote</blockquote>'));
+    test('should call the highlight option', () => {
+      const calls = [];
+      const md = new Chastity({
+        highlight: (code, lang) => {
+          calls.push([code, lang]);
+          return lang === 'none' ? undefined : `<b>${code.trim()}</b>`;
+        }
+      });
+      assert.strictEqual(md.parse('```js {1}\nx\n```'), '<pre><code class="language-js"><span class="line highlighted"><b>x</b></span>\n</code></pre>');
+      assert.strictEqual(md.parse('```none\n<y>\n```'), '<pre><code class="language-none">&lt;y&gt;\n</code></pre>');
+      assert.strictEqual(md.parse('    z'), '<pre><code><b>z</b></code></pre>');
+      assert.deepStrictEqual(calls, [['x\n', 'js'], ['<y>\n', 'none'], ['z\n', '']]);
     });
 
-    test('should parse horizontal rule', () => {
+    test('should highlight with the built-in highlighter', () => {
+      assert.strictEqual(highlight('const a = "x"; // b', 'js'), '<span class="hl-keyword">const</span> a = <span class="hl-string">&quot;x&quot;</span>; <span class="hl-comment">// b</span>');
+      assert.strictEqual(highlight('/* a\nb */', 'javascript'), '<span class="hl-comment">/* a</span>\n<span class="hl-comment">b */</span>');
+      assert.strictEqual(highlight('{"a": [1, true]}', 'json'), '{<span class="hl-property">&quot;a&quot;</span>: [<span class="hl-number">1</span>, <span class="hl-literal">true</span>]}');
+      assert.strictEqual(highlight('$ echo $HOME # hi', 'bash'), '<span class="hl-prompt">$</span> echo <span class="hl-variable">$HOME</span> <span class="hl-comment"># hi</span>');
+      assert.strictEqual(highlight('<a href="/">x & y</a>', 'html'), '<span class="hl-tag">&lt;a</span> <span class="hl-attribute">href</span>=<span class="hl-string">&quot;/&quot;</span><span class="hl-tag">&gt;</span>x &amp; y<span class="hl-tag">&lt;/a</span><span class="hl-tag">&gt;</span>');
+      assert.strictEqual(highlight('<x>', 'cobol'), '&lt;x&gt;');
+      const md = new Chastity({ highlight });
+      assert.strictEqual(md.parse('```json\nnull\n```'), '<pre><code class="language-json"><span class="hl-literal">null</span>\n</code></pre>');
+    });
+  });
+
+  describe('Opaque Regions', () => {
+    test('should not transform markdown inside code blocks', () => {
       const md = new Chastity();
-      const html = md.parse('---');
-      assert.ok(html.includes('<hr>'));
+      const html = md.parse('```bash\n# comment\n- item\necho **x**\n```');
+      assert.ok(html.includes('# comment\n- item\necho **x**'));
+      assert.ok(!html.includes('<h1'));
+      assert.ok(!html.includes('<li>'));
+      assert.ok(!html.includes('<strong>'));
     });
 
-    test('should parse horizontal rule with more dashes', () => {
+    test('should not transform markdown inside inline code', () => {
       const md = new Chastity();
-      const html = md.parse('-----');
-      assert.ok(html.includes('<hr>'));
+      const html = md.parse('Run `a *b* c` now');
+      assert.ok(html.includes('<code>a *b* c</code>'));
+      assert.ok(!html.includes('<em>'));
     });
 
-    test('should parse paragraphs', () => {
+    test('should not wrap code blocks in paragraphs', () => {
       const md = new Chastity();
-      const html = md.parse('This is paragraph one\n\nThis is paragraph two');
-      assert.ok(html.includes('<p>'));
+      const html = md.parse('```\ncode\n```');
+      assert.ok(!html.includes('<p>'));
     });
-  });
 
-  describe('API - register()', () => {
-    test('should register custom feature', () => {
+    test('should protect output of custom opaque features', () => {
       const md = new Chastity();
+      md.register({
+        name: 'math',
+        description: 'Math wrapped in dollar signs',
+        usage: '$a==b==c$',
+        pattern: '\\$(?<tex>[^$]+)\\$',
+        flags: 'g',
+        opaque: true,
+        replacement: ({ tex }) => `<span class="math">${tex}</span>`
+      });
       md.register({
         name: 'highlight',
         description: 'Highlight text',
@@ -200,37 +671,1223 @@ describe('Chastity Markdown Parser', () => {
         replacement: ({ text }) => `<mark>${text}</mark>`
       });
 
-      const html = md.parse('This is ==highlighted== text');
-      assert.ok(html.includes('<mark>highlighted</mark>'));
+      const html = md.parse('Area is $a==b==c$');
+      assert.ok(html.includes('<span class="math">a==b==c</span>'));
+      assert.ok(!html.includes('<mark>'));
     });
 
-    test('should replace existing feature', () => {
+    test('should ignore placeholder characters in input', () => {
+      const md = new Chastity();
+      const html = md.parse('a\uE0000\uE001b `c`');
+      assert.ok(html.includes('a0b <code>c</code>'));
+    });
+  });
+
+  describe('Safe Mode', () => {
+    test('should pass raw HTML through by default', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('<b>hi</b>').includes('<b>hi</b>'));
+    });
+
+    test('should escape raw HTML', () => {
+      const md = new Chastity({ safe: true });
+      const html = md.parse('<script>alert(1)</script>\n\nhi <img src=x onerror=alert(1)>');
+      assert.ok(!html.includes('<script>'));
+      assert.ok(!html.includes('<img'));
+      assert.ok(html.includes('&lt;script>alert(1)&lt;/script>'));
+    });
+
+    test('should enable safe mode per parse', () => {
       const md = new Chastity();
+      assert.ok(!md.parse('<i>x</i>', { safe: true }).includes('<i>'));
+      assert.ok(md.parse('<i>x</i>').includes('<i>'));
+    });
+
+    test('should allow disabling safe mode per parse', () => {
+      const md = new Chastity({ safe: true });
+      assert.ok(md.parse('<i>x</i>', { safe: false }).includes('<i>'));
+    });
+
+    test('should neutralize javascript: URLs', () => {
+      const md = new Chastity({ safe: true });
+      const vectors = [
+        '[x](javascript:alert(1\\))',
+        '[x](JaVaScRiPt:alert(1))',
+        '[x](java\tscript:alert(1))',
+        '[x]( javascript:alert(1))',
+        '[x](vbscript:msgbox(1))',
+        '![x](data:text/html;base64,PHNjcmlwdD4=)'
+      ];
+      vectors.forEach(vector => {
+        const html = md.parse(vector);
+        assert.ok(!/(?:href|src)="\s*(?:java|vb|data)/i.test(html), vector);
+        // Either rendered with a neutral URL or not rendered as a link at all
+        assert.ok(/(?:href|src)="#"/.test(html) || !/<(?:a|img) /.test(html), vector);
+      });
+    });
+
+    test('should keep allowed and relative URLs', () => {
+      const md = new Chastity({ safe: true });
+      assert.ok(md.parse('[x](https://example.com)').includes('<a href="https://example.com">x</a>'));
+      assert.ok(md.parse('[x](mailto:me@example.com)').includes('href="mailto:me@example.com"'));
+      assert.ok(md.parse('[x](/docs/page.html)').includes('href="/docs/page.html"'));
+      assert.ok(md.parse('![x](img/a.png)').includes('src="img/a.png"'));
+    });
+
+    test('should restrict schemes to a configurable allowlist', () => {
+      const md = new Chastity({ safe: true, schemes: ['https'] });
+      assert.ok(md.parse('[x](http://example.com)').includes('href="#"'));
+      assert.ok(md.parse('[x](https://example.com)').includes('href="https://example.com"'));
+      assert.ok(md.parse('[x](ftp://example.com)', { schemes: ['ftp'] }).includes('href="ftp://example.com"'));
+    });
+
+    test('should escape quotes in attributes', () => {
+      const md = new Chastity({ safe: true });
+      const image = md.parse('![a" onerror="alert(1)](x.png)');
+      assert.ok(image.includes('alt="a&quot; onerror=&quot;alert(1)"'));
+      const link = md.parse('[x](https://a.com"onclick="alert(1))');
+      assert.ok(link.includes('href="https://a.com&quot;onclick=&quot;alert(1"'));
+      const single = md.parse("![a' onerror='alert(1)](x.png)");
+      assert.ok(single.includes('alt="a&#39; onerror=&#39;alert(1)"'));
+    });
+
+    test('should escape captures of custom features', () => {
+      const md = new Chastity({ safe: true });
       md.register({
-        name: 'bold',
-        description: 'Custom bold',
-        usage: '**text**',
-        pattern: '\\*\\*(?<text>[^*]+)\\*\\*',
+        name: 'wiki-links',
+        description: 'Wiki links',
+        usage: '[[Page]]',
+        pattern: '\\[\\[(?<page>[^\\]]+)\\]\\]',
         flags: 'g',
-        replacement: ({ text }) => `<b>${text}</b>`
-      });
+        replacement: ({ page }) => `<a href="/wiki/${page}">${page}</a>`
+      }, { before: 'images' });
+      const html = md.parse('[["><script>alert(1)</script>]]');
+      assert.ok(!html.includes('<script>'));
+      assert.ok(html.includes('href="/wiki/&quot;>&lt;script>'));
+    });
 
-      const html = md.parse('**bold**');
-      assert.ok(html.includes('<b>bold</b>'));
-      assert.ok(!html.includes('<strong>'));
+    test('should escape code exactly once', () => {
+      const md = new Chastity({ safe: true });
+      assert.ok(md.parse('`<b> & "q"`').includes('<code>&lt;b&gt; &amp; &quot;q&quot;</code>'));
+      assert.ok(md.parse('```\n<script>\n```').includes('<pre><code>&lt;script&gt;\n</code></pre>'));
     });
 
-    test('should throw error if feature missing required properties', () => {
-      const md = new Chastity();
-      assert.throws(() => {
-        md.register({ name: 'test' });
-      }, /Feature must have name, pattern, and replacement/);
+    test('should keep markdown working in safe mode', () => {
+      const md = new Chastity({ safe: true });
+      const html = md.parse('# Title\n\n> **quote** & more\n\n- [link](https://example.com)');
+      assert.ok(html.includes('<h1 id="title">Title</h1>'));
+      assert.ok(html.includes('<blockquote><strong>quote</strong> &amp; more</blockquote>'));
+      assert.ok(html.includes('<li><a href="https://example.com">link</a></li>'));
     });
+  });
 
-    test('should chain register calls', () => {
+  describe('Lists', () => {
+    test('should parse unordered list with dash', () => {
       const md = new Chastity();
-      const result = md.register({
-        name: 'test',
+      const html = md.parse('- item one\n- item two\n- item three');
+      assert.ok(html.includes('<ul>'));
+      assert.ok(html.includes('<li>item one</li>'));
+      assert.ok(html.includes('<li>item two</li>'));
+      assert.ok(html.includes('</ul>'));
+    });
+
+    test('should parse unordered list with asterisk', () => {
+      const md = new Chastity();
+      const html = md.parse('* item one\n* item two');
+      assert.ok(html.includes('<ul>'));
+      assert.ok(html.includes('<li>item one</li>'));
+    });
+
+    test('should parse ordered list', () => {
+      const md = new Chastity();
+      const html = md.parse('1. first\n2. second\n3. third');
+      assert.ok(html.includes('<ol>'));
+      assert.ok(html.includes('<li>first</li>'));
+      assert.ok(html.includes('<li>second</li>'));
+      assert.ok(html.includes('</ol>'));
+    });
+  });
+
+  describe('Nested Lists', () => {
+    test('should parse plus bullets', () => {
+      const md = new Chastity();
+      const html = md.parse('+ one\n+ two');
+      assert.ok(html.includes('<li>one</li>'));
+      assert.ok(html.includes('<li>two</li>'));
+    });
+
+    test('should nest indented items', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n  - b\n  - c\n- d');
+      assert.strictEqual(html, '<ul>\n  <li>a\n<ul>\n  <li>b</li>\n  <li>c</li>\n</ul></li>\n  <li>d</li>\n</ul>');
+    });
+
+    test('should leave lists nested past the depth limit as text', () => {
+      const md = new Chastity({ depthLimit: 2 });
+      assert.strictEqual(md.parse('- a\n  - b\n    1. c\n       - d'), '<ul>\n  <li>a\n<ul>\n  <li>b 1. c    - d</li>\n</ul></li>\n</ul>');
+      const deep = Array.from({ length: 200 }, (_, i) => `${'  '.repeat(i)}- item ${i}`).join('\n');
+      const html = new Chastity().parse(deep, { timeLimit: 1000 });
+      assert.strictEqual(html.match(/<ul>/g).length, 16);
+    });
+
+    test('should nest ordered lists inside unordered lists and back', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n  1. b\n     - c');
+      assert.ok(/<ul>\n  <li>a\n<ol>\n  <li>b\n<ul>\n  <li>c<\/li>\n<\/ul><\/li>\n<\/ol><\/li>\n<\/ul>/.test(html));
+    });
+
+    test('should accept four-space indentation', () => {
+      const md = new Chastity();
+      const html = md.parse('1. a\n    1. b');
+      assert.ok(html.includes('<li>a\n<ol>\n  <li>b</li>\n</ol></li>'));
+    });
+
+    test('should keep the start number of ordered lists', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('3. three\n4. four').includes('<ol start="3">'));
+      assert.ok(md.parse('1. one').includes('<ol>'));
+    });
+
+    test('should render tight items without paragraphs', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n- b');
+      assert.ok(!html.includes('<p>'));
+    });
+
+    test('should render loose items with paragraphs', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n\n- b');
+      assert.ok(html.includes('<li><p>a</p></li>'));
+      assert.ok(html.includes('<li><p>b</p></li>'));
+    });
+
+    test('should treat multiple blocks in an item as loose', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n\n  more\n- b');
+      assert.ok(html.includes('<p>a</p>'));
+      assert.ok(html.includes('<p>more</p>'));
+      assert.ok(html.includes('<li><p>b</p></li>'));
+    });
+
+    test('should keep the outer list tight around a loose nested list', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n  - b\n\n  - c\n- d');
+      assert.ok(html.includes('<li>a\n'));
+      assert.ok(html.includes('<li><p>b</p></li>'));
+      assert.ok(html.includes('<li>d</li>'));
+    });
+
+    test('should join continuation lines into the item', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('- first line\n  second line').includes('<li>first line second line</li>'));
+    });
+
+    test('should end the list at an unindented line after a blank line', () => {
+      const md = new Chastity();
+      const html = md.parse('- a\n\nafter');
+      assert.ok(html.includes('</ul>\n\n<p>after</p>'));
+    });
+
+    test('should not treat bold at line start as a list', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('**bold** start').includes('<p><strong>bold</strong> start</p>'));
+    });
+  });
+
+  describe('Task Lists and Definition Lists', () => {
+    test('should render task list checkboxes', () => {
+      const md = new Chastity();
+      const html = md.parse('- [ ] todo\n- [x] done');
+      assert.ok(html.includes('<li class="task-list-item"><input type="checkbox" disabled> todo</li>'));
+      assert.ok(html.includes('<li class="task-list-item"><input type="checkbox" disabled checked> done</li>'));
+    });
+
+    test('should render nested and ordered task items', () => {
+      const md = new Chastity();
+      const html = md.parse('1. [X] step\n   - [ ] sub');
+      assert.ok(html.includes('<li class="task-list-item"><input type="checkbox" disabled checked> step'));
+      assert.ok(html.includes('<li class="task-list-item"><input type="checkbox" disabled> sub</li>'));
+    });
+
+    test('should leave plain items and plain text alone', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('- [ ] a\n- b').includes('<li>b</li>'));
+      assert.ok(md.parse('[ ] text').includes('<p>[ ] text</p>'));
+    });
+
+    test('should look for checkboxes in linear time', () => {
+      const md = new Chastity();
+      const text = `- [x] a\n${`${' '.repeat(4000)}- [ ] b\n`.repeat(100)}`;
+      const html = md.parse(text, { timeLimit: 1000 });
+      assert.strictEqual(html.match(/<input type="checkbox" disabled>/g).length, 100);
+    });
+
+    test('should keep brackets when task-list is unregistered', () => {
+      const md = new Chastity();
+      md.unregister('task-list');
+      assert.ok(md.parse('- [x] done').includes('<li>[x] done</li>'));
+    });
+
+    test('should render definition lists', () => {
+      const md = new Chastity();
+      const html = md.parse('Term\n: the **definition**');
+      assert.strictEqual(html, '<dl>\n<dt>Term</dt>\n<dd>the <strong>definition</strong></dd>\n</dl>');
+    });
+
+    test('should group several terms and definitions', () => {
+      const md = new Chastity();
+      const html = md.parse('Apple\n: a fruit\n: a company\nPear\nQuince\n: fruits too');
+      assert.strictEqual(html.match(/<dl>/g).length, 1);
+      assert.strictEqual(html.match(/<dt>/g).length, 3);
+      assert.strictEqual(html.match(/<dd>/g).length, 3);
+    });
+
+    test('should start terms after a blank line or another block', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('# Fruit\nApple\n: a fruit'), '<h1 id="fruit">Fruit</h1>\n<dl>\n<dt>Apple</dt>\n<dd>a fruit</dd>\n</dl>');
+      const text = Array.from({ length: 8000 }, (_, i) => `line ${i} of text`).join('\n');
+      assert.strictEqual(md.parse(text, { timeLimit: 1000 }), `<p>${text.replace(/\n/g, ' ')}</p>`);
+    });
+
+    test('should keep colons as text when definition-list is unregistered', () => {
+      const md = new Chastity();
+      md.unregister('definition-list');
+      assert.ok(md.parse('Term\n: text').includes('<p>Term : text</p>'));
+    });
+  });
+
+  describe('Blockquotes', () => {
+    test('should merge consecutive lines into one blockquote', () => {
+      const md = new Chastity();
+      const html = md.parse('> one\n> two\n> three');
+      assert.strictEqual(html, '<blockquote>one two three</blockquote>');
+    });
+
+    test('should match > without a following space', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('>quote'), '<blockquote>quote</blockquote>');
+    });
+
+    test('should nest blockquotes', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('>> deep'), '<blockquote><blockquote>deep</blockquote></blockquote>');
+      assert.ok(md.parse('> outer\n>\n> > inner').includes('<p>outer</p>\n\n<blockquote>inner</blockquote></blockquote>'));
+    });
+
+    test('should leave quotes nested past the depth limit as text', () => {
+      const md = new Chastity({ depthLimit: 2 });
+      assert.strictEqual(md.parse('> a\n> > b\n> > > c'), '<blockquote>a\n<blockquote>b > c</blockquote></blockquote>');
+      assert.strictEqual(md.parse('> > > [!NOTE]\n> > > x'), '<blockquote><blockquote>> [!NOTE] > x</blockquote></blockquote>');
+      const html = new Chastity().parse(`${'>'.repeat(1000)} deep`);
+      assert.strictEqual(html.match(/<blockquote>/g).length, 16);
+      assert.ok(html.includes(`${'>'.repeat(984)} deep`));
+    });
+
+    test('should parse block content inside the quote', () => {
+      const md = new Chastity();
+      const html = md.parse('> para\n>\n> - a\n> - b\n>\n> ```\n> # not a header\n> ```');
+      assert.ok(html.startsWith('<blockquote><p>para</p>'));
+      assert.ok(html.includes('<li>a</li>'));
+      assert.ok(html.includes('<pre><code># not a header\n</code></pre>'));
+      assert.ok(!html.includes('<h1'));
+    });
+
+    test('should render GitHub alerts as classed divs', () => {
+      const md = new Chastity();
+      const html = md.parse('> [!NOTE]\n> Useful **info**');
+      assert.strictEqual(html, '<div class="markdown-alert markdown-alert-note">\n<p class="markdown-alert-title">Note</p>\n<p>Useful <strong>info</strong></p>\n</div>');
+    });
+
+    test('should recognize every alert type', () => {
+      const md = new Chastity();
+      ['NOTE', 'TIP', 'IMPORTANT', 'WARNING', 'CAUTION'].forEach(type => {
+        const html = md.parse(`> [!${type}]\n> text`);
+        assert.ok(html.includes(`markdown-alert-${type.toLowerCase()}`), type);
+      });
+    });
+
+    test('should treat unknown alert types as plain quotes', () => {
+      const md = new Chastity();
+      const html = md.parse('> [!DANGER]\n> text');
+      assert.ok(html.startsWith('<blockquote>'));
+    });
+  });
+
+  describe('Tables', () => {
+    test('should parse a pipe table', () => {
+      const md = new Chastity();
+      const html = md.parse('| a | b |\n| --- | --- |\n| 1 | 2 |');
+      assert.strictEqual(html, '<table>\n<thead>\n<tr>\n<th>a</th>\n<th>b</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>1</td>\n<td>2</td>\n</tr>\n</tbody>\n</table>');
+    });
+
+    test('should parse tables without outer pipes', () => {
+      const md = new Chastity();
+      const html = md.parse('a | b\n--|--\n1 | 2');
+      assert.ok(html.includes('<th>a</th>'));
+      assert.ok(html.includes('<td>2</td>'));
+    });
+
+    test('should align columns', () => {
+      const md = new Chastity();
+      const html = md.parse('| l | c | r |\n| :-- | :-: | --: |\n| 1 | 2 | 3 |');
+      assert.ok(html.includes('<th align="left">l</th>'));
+      assert.ok(html.includes('<th align="center">c</th>'));
+      assert.ok(html.includes('<td align="right">3</td>'));
+    });
+
+    test('should keep escaped pipes inside cells', () => {
+      const md = new Chastity();
+      const html = md.parse('| a |\n| - |\n| x \\| y |');
+      assert.ok(html.includes('<td>x | y</td>'));
+    });
+
+    test('should apply inline formatting inside cells', () => {
+      const md = new Chastity();
+      const html = md.parse('| **h** |\n| --- |\n| [x](y.html) `z` |');
+      assert.ok(html.includes('<th><strong>h</strong></th>'));
+      assert.ok(html.includes('<td><a href="y.html">x</a> <code>z</code></td>'));
+    });
+
+    test('should pad short rows and omit an empty body', () => {
+      const md = new Chastity();
+      assert.ok(md.parse('| a | b |\n| - | - |\n| 1 |').includes('<td>1</td>\n<td></td>'));
+      assert.ok(!md.parse('| a |\n| - |').includes('<tbody>'));
+    });
+
+    test('should end the table at the first line without a pipe', () => {
+      const md = new Chastity();
+      const html = md.parse('| a |\n| - |\n| 1 |\nafter');
+      assert.ok(html.includes('</table>\n<p>after</p>'));
+    });
+
+    test('should not treat a line with a pipe as a table without separator', () => {
+      const md = new Chastity();
+      assert.ok(!md.parse('a | b\nc | d').includes('<table>'));
+    });
+
+    test('should not treat a header with more cells than the separator as a table', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('| abc | def |\n| --- |\n| bar |'), '<p>| abc | def | | --- | | bar |</p>');
+      assert.strictEqual(new Chastity({ target: 'text' }).parse('| a | **b** |\n| --- |'), '| a | b | | --- |');
+    });
+
+    test('should document the tables feature in help()', () => {
+      const md = new Chastity();
+      assert.ok(md.help('tables').includes('Pipe tables'));
+    });
+  });
+
+  describe('Other Elements', () => {
+    test('should parse blockquote', () => {
+      const md = new Chastity();
+      const html = md.parse('> This is a quote');
+      assert.ok(html.includes('<blockquote>This is a quote</blockquote>'));
+    });
+
+    test('should parse horizontal rule', () => {
+      const md = new Chastity();
+      const html = md.parse('---');
+      assert.ok(html.includes('<hr>'));
+    });
+
+    test('should parse horizontal rule with more dashes', () => {
+      const md = new Chastity();
+      const html = md.parse('-----');
+      assert.ok(html.includes('<hr>'));
+    });
+
+    test('should parse paragraphs', () => {
+      const md = new Chastity();
+      const html = md.parse('This is paragraph one\n\nThis is paragraph two');
+      assert.ok(html.includes('<p>'));
+    });
+  });
+
+  describe('Render Targets', () => {
+    const ESC = '\x1b[';
+
+    test('should render plain text', () => {
+      const md = new Chastity();
+      const text = md.parse('# Hello **World**\n\nSome *text* with `code` and [a link](https://example.com).', { target: 'text' });
+      assert.strictEqual(text, 'Hello World\n\nSome text with code and a link.');
+    });
+
+    test('should keep list structure in plain text', () => {
+      const md = new Chastity();
+      const text = md.parse('- one\n  - nested\n- [x] done\n\n3. three\n4. four', { target: 'text' });
+      assert.strictEqual(text, '- one\n  - nested\n- [x] done\n\n3. three\n4. four');
+    });
+
+    test('should render code, quotes, tables and definitions as text', () => {
+      const md = new Chastity();
+      const text = md.parse('```js\nconst a = 1 < 2;\n```\n\n> quoted\n\n| A | B |\n| - | - |\n| 1 | 2 |\n\nTerm\n: definition', { target: 'text' });
+      assert.strictEqual(text, 'const a = 1 < 2;\n\nquoted\n\nA\tB\n1\t2\n\nTerm\n  definition');
+    });
+
+    test('should render footnotes and the table of contents as text', () => {
+      const md = new Chastity();
+      const text = md.parse('[[toc]]\n\n# One\n\n## Two\n\nClaim[^a].\n\n[^a]: Source', { target: 'text' });
+      assert.strictEqual(text, '- One\n  - Two\n\nOne\n\nTwo\n\nClaim[1].\n\n[1] Source');
+    });
+
+    test('should render ANSI styles', () => {
+      const md = new Chastity();
+      const output = md.parse('**bold** *italic* ~~gone~~ `code`', { target: 'ansi' });
+      assert.strictEqual(output, `${ESC}1mbold${ESC}22m ${ESC}3mitalic${ESC}23m ${ESC}9mgone${ESC}29m ${ESC}33mcode${ESC}39m`);
+    });
+
+    test('should render ANSI links with their URL', () => {
+      const md = new Chastity();
+      const output = md.parse('[site](https://example.com) and [ref]\n\n[ref]: https://ref.example', { target: 'ansi' });
+      assert.ok(output.includes(`${ESC}4msite${ESC}24m ${ESC}2m(https://example.com)${ESC}22m`));
+      assert.ok(output.includes(`${ESC}4mref${ESC}24m ${ESC}2m(https://ref.example)${ESC}22m`));
+    });
+
+    test('should render ANSI block features', () => {
+      const md = new Chastity();
+      const output = md.parse('## Title\n\n- item\n\n> quote\n\n---', { target: 'ansi' });
+      assert.ok(output.startsWith(`${ESC}1m${ESC}34mTitle${ESC}39m${ESC}22m`));
+      assert.ok(output.includes('• item'));
+      assert.ok(output.includes(`${ESC}2m│ ${ESC}22mquote`));
+      assert.ok(output.includes('─'.repeat(40)));
+    });
+
+    test('should align ANSI table columns', () => {
+      const md = new Chastity();
+      const output = md.parse('| Name | Qty |\n| :--- | ---: |\n| Apple | 3 |', { target: 'ansi' });
+      const lines = output.replace(/\x1b\[\d+m/g, '').split('\n');
+      assert.deepStrictEqual(lines, ['Name  │ Qty', '──────┼────', 'Apple │   3']);
+    });
+
+    test('should record headings for every target', () => {
+      const md = new Chastity();
+      md.parse('# **Bold** Title', { target: 'ansi' });
+      assert.deepStrictEqual(md.headings, [{ level: 1, text: 'Bold Title', id: 'bold-title' }]);
+    });
+
+    test('should accept per-target renderers on custom features', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'highlight',
+        pattern: '==(?<text>[^=]+)==',
+        replacement: {
+          html: ({ text }) => `<mark>${text}</mark>`,
+          text: ({ text }) => text.toUpperCase()
+        }
+      });
+      assert.strictEqual(md.parse('==hi==', { target: 'html' }), '<p><mark>hi</mark></p>');
+      assert.strictEqual(md.parse('==hi==', { target: 'text' }), 'HI');
+      // ANSI falls back to the text renderer
+      assert.strictEqual(md.parse('==hi==', { target: 'ansi' }), 'HI');
+    });
+
+    test('should strip tags from HTML-only features outside HTML', () => {
+      const md = new Chastity();
+      md.register({ name: 'highlight', pattern: '==(?<text>[^=]+)==', replacement: ({ text }) => `<mark>${text} &amp; more</mark>` });
+      assert.strictEqual(md.parse('==hi==', { target: 'text' }), 'hi & more');
+    });
+
+    test('should require an html renderer', () => {
+      const md = new Chastity();
+      assert.throws(() => {
+        md.register({ name: 'plain', pattern: 'x', replacement: { text: () => 'y' } });
+      }, /'plain' replacement must be a function or have an html renderer/);
+    });
+
+    test('should round-trip markdown', () => {
+      const md = new Chastity();
+      const source = '---\ntitle: Doc\n---\n# Title\n\n- **item**\n\n```js\ncode\n```\n';
+      assert.strictEqual(md.parse(source, { target: 'markdown' }), source);
+    });
+
+    test('should apply markdown renderers outside code', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'wiki',
+        pattern: '\\[\\[(?<page>\\w+)\\]\\]',
+        replacement: {
+          html: ({ page }) => `<a href="${page}.html">${page}</a>`,
+          markdown: ({ page }) => `[${page}](${page}.md)`
+        }
+      });
+      const output = md.parse('# See [[home]]\n\n`[[code]]`\n\n```\n[[block]]\n```', { target: 'markdown' });
+      assert.strictEqual(output, '# See [home](home.md)\n\n`[[code]]`\n\n```\n[[block]]\n```');
+    });
+
+    test('should take the default target from the constructor', () => {
+      const md = new Chastity({ target: 'text' });
+      assert.strictEqual(md.parse('**bold**'), 'bold');
+    });
+
+    test('should strip control characters in safe mode outside HTML', () => {
+      const md = new Chastity({ safe: true });
+      assert.strictEqual(md.parse('a\x1b[31mb <i>', { target: 'ansi' }), 'a[31mb <i>');
+    });
+  });
+
+  describe('Streaming', () => {
+    const collect = async (iterator) => {
+      const parts = [];
+      for await (const part of iterator) parts.push(part);
+      return parts;
+    };
+    const characters = (text) => Array.from(text);
+
+    const document = [
+      '---', 'title: Stream', '---',
+      '[[toc]]', '',
+      '# Intro', '', 'Text with [a reference][ref] and a note[^1].', '',
+      '```js', 'const a = 1;', '', '', 'const b = 2;', '```', '',
+      '- one', '', '- two', '  - nested', '',
+      '> quote', '', '| A | B |', '| - | - |', '| 1 | 2 |', '',
+      '## Intro', '',
+      '[ref]: https://example.com', '[^1]: The note.', ''
+    ].join('\n');
+
+    test('should match parse() for every target', async () => {
+      const md = new Chastity();
+      for (const target of ['html', 'text', 'ansi', 'markdown']) {
+        const parts = await collect(md.parseStream(characters(document), { target }));
+        assert.strictEqual(parts.join(''), md.parse(document, { target }));
+      }
+    });
+
+    test('should emit blocks as soon as they are complete', async () => {
+      const md = new Chastity();
+      const parts = await collect(md.parseStream(['# Title\n\nFirst\n', '\nSecond\n\n- a\n', '- b\n\nThird']));
+      // A block is complete once the next non-blank line is known to start a new one
+      assert.deepStrictEqual(parts, [
+        '<h1 id="title">Title</h1>',
+        '\n\n<p>First</p>',
+        '\n\n<p>Second</p>\n\n<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n\n<p>Third</p>'
+      ]);
+    });
+
+    test('should keep blank lines inside code fences and loose lists together', async () => {
+      const md = new Chastity();
+      const source = '```\na\n\nb\n```\n\n- one\n\n- two\n\nafter';
+      const parts = await collect(md.parseStream([source]));
+      assert.strictEqual(parts.join(''), md.parse(source));
+      assert.ok(parts[0].includes('<pre><code>a\n\nb\n</code></pre>'));
+    });
+
+    test('should hold blocks back until their definitions arrive', async () => {
+      const md = new Chastity();
+      const parts = await collect(md.parseStream(['See [docs].\n\n', 'More.\n\n', '[docs]: /docs\n\nDone.\n']));
+      assert.strictEqual(parts[0], '<p>See <a href="/docs">docs</a>.</p>\n\n<p>More.</p>');
+      assert.strictEqual(parts.join(''), md.parse('See [docs].\n\nMore.\n\n[docs]: /docs\n\nDone.\n'));
+    });
+
+    test('should record headings and metadata once the stream ends', async () => {
+      const md = new Chastity();
+      await collect(md.parseStream(['---\ntitle: ', 'Hi\n---\n# One\n\n# One']));
+      assert.deepStrictEqual(md.meta, { title: 'Hi' });
+      assert.deepStrictEqual(md.headings.map(heading => heading.id), ['one', 'one-1']);
+    });
+
+    test('should decode byte chunks split inside a character', async () => {
+      const md = new Chastity();
+      const bytes = new TextEncoder().encode('# Café ✓');
+      const parts = await collect(md.parseStream([bytes.slice(0, 6), bytes.slice(6, 10), bytes.slice(10)]));
+      assert.strictEqual(parts.join(''), '<h1 id="café">Café ✓</h1>');
+    });
+
+    test('should work as a web TransformStream', async () => {
+      const md = new Chastity();
+      const input = new ReadableStream({
+        start(controller) {
+          characters('**bold**\n\ntext').forEach(chunk => controller.enqueue(chunk));
+          controller.close();
+        }
+      });
+      const parts = await collect(input.pipeThrough(md.createStream()));
+      assert.strictEqual(parts.join(''), '<p><strong>bold</strong></p>\n\n<p>text</p>');
+    });
+  });
+
+  describe('Pattern Safety and Limits', () => {
+    const busy = (ms) => {
+      const until = performance.now() + ms;
+      while (performance.now() < until);
+    };
+    const slow = {
+      name: 'slow',
+      pattern: '==(?<text>[^=]+)==',
+      replacement: ({ text }) => {
+        busy(30);
+        return `<mark>${text}</mark>`;
+      }
+    };
+
+    test('should report invalid patterns with the feature name', () => {
+      const md = new Chastity();
+      assert.throws(() => {
+        md.register({ name: 'broken', pattern: '(unclosed', replacement: () => '' });
+      }, /Feature 'broken' has an invalid pattern: .*Unterminated group/);
+    });
+
+    test('should report invalid flags', () => {
+      const md = new Chastity();
+      assert.throws(() => {
+        md.register({ name: 'flagged', pattern: 'x', flags: 'gq', replacement: () => '' });
+      }, /Feature 'flagged' has an invalid pattern/);
+    });
+
+    test('should reject nested quantifiers', () => {
+      const md = new Chastity();
+      for (const pattern of ['(a+)+', '(?:\\w+\\s?)*b', '(?:y{1,3})+z', '(?:(?!z).*)+']) {
+        assert.throws(() => {
+          md.register({ name: 'redos', pattern, replacement: () => '' });
+        }, /Feature 'redos' pattern can backtrack catastrophically: nested quantifier/, pattern);
+      }
+    });
+
+    test('should reject overlapping alternatives', () => {
+      const md = new Chastity();
+      assert.throws(() => {
+        md.register({ name: 'redos', pattern: '(?:a|ab)+c', replacement: () => '' });
+      }, /overlapping alternatives in \(\?:a\|ab\)\+/);
+    });
+
+    test('should accept repeats with a fixed separator', () => {
+      const md = new Chastity();
+      for (const pattern of ['(?:\\n>.*)*', '[A-Z][a-z]+(?:[A-Z][a-z]+)+', '(?:/[\\w-]+)*\\.md', '\\p{L}+']) {
+        assert.doesNotThrow(() => md.register({ name: 'safe', pattern, flags: 'gu', replacement: () => '' }), pattern);
+      }
+    });
+
+    test('should warn instead of throwing when asked', (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      const md = new Chastity({ patternCheck: 'warn' });
+      md.register({ name: 'redos', pattern: '(a+)+', replacement: () => '' });
+      assert.ok(md.list().includes('redos'));
+      assert.strictEqual(warn.mock.calls.length, 1);
+      assert.ok(warn.mock.calls[0].arguments[0].includes("'redos'"));
+    });
+
+    test('should skip the check when turned off', () => {
+      const md = new Chastity({ patternCheck: 'off' });
+      assert.doesNotThrow(() => md.register({ name: 'redos', pattern: '(a+)+', replacement: () => '' }));
+    });
+
+    test('should throw when a feature runs past its time limit', () => {
+      const md = new Chastity();
+      md.register(slow);
+      assert.throws(() => md.parse('==a==', { timeLimit: 10 }), /Feature 'slow' exceeded the time limit of 10ms/);
+    });
+
+    test('should charge nested time to the feature that used it', () => {
+      const md = new Chastity();
+      md.register(slow);
+      // paragraphs calls inline(), but the time is spent in slow
+      assert.throws(() => md.parse('==a== ==b== ==c==', { timeLimit: 50 }), /Feature 'slow'/);
+    });
+
+    test('should skip a feature past its time limit', () => {
+      const md = new Chastity();
+      md.register(slow);
+      const html = md.parse('**a** ==b==\n\n==c==', { timeLimit: 10, onLimit: 'skip' });
+      assert.strictEqual(html, '<p><strong>a</strong> ==b==</p>\n\n<p>==c==</p>');
+      assert.deepStrictEqual(md.exceeded, [{ name: 'slow', limit: 'time' }]);
+    });
+
+    test('should enforce a size limit', () => {
+      const md = new Chastity();
+      assert.throws(() => md.parse('x'.repeat(100), { sizeLimit: 50 }), /Feature 'code-blocks' exceeded the size limit of 50 characters/);
+    });
+
+    test('should skip features given more text than the size limit', () => {
+      const md = new Chastity();
+      const html = md.parse('# Title\n\n**bold**', { sizeLimit: 12, onLimit: 'skip' });
+      assert.strictEqual(html, '# Title\n\n**bold**');
+      assert.ok(md.exceeded.some(({ name, limit }) => name === 'headers' && limit === 'size'));
+    });
+
+    test('should not report anything within the limits', () => {
+      const md = new Chastity();
+      md.parse('# Title', { timeLimit: 1000, sizeLimit: 1000 });
+      assert.deepStrictEqual(md.exceeded, []);
+    });
+  });
+
+  describe('Tracing', () => {
+    test('should not trace by default', () => {
+      const md = new Chastity();
+      md.parse('**a**');
+      assert.strictEqual(md.trace, null);
+    });
+
+    test('should record each feature application', () => {
+      const md = new Chastity();
+      md.parse('# Hi **there**', { trace: true });
+      const headers = md.trace.find(step => step.name === 'headers');
+      assert.strictEqual(headers.kind, 'block');
+      assert.strictEqual(headers.before, '# Hi **there**');
+      assert.strictEqual(headers.after, '⟦0⟧');
+      assert.deepStrictEqual(headers.matches, [{
+        index: 0,
+        match: '# Hi **there**',
+        captures: { hashes: '#', text: 'Hi **there**' },
+        output: '<h1 id="hi-there">Hi <strong>there</strong></h1>'
+      }]);
+      assert.ok(headers.time >= 0);
+    });
+
+    test('should nest inline steps under the block that ran them', () => {
+      const md = new Chastity();
+      md.parse('*a* and *b*', { trace: true });
+      const paragraphs = md.trace.findIndex(step => step.name === 'paragraphs');
+      const italic = md.trace.findIndex(step => step.name === 'italic' && step.matches.length);
+      assert.ok(italic > paragraphs);
+      assert.strictEqual(md.trace[italic].parent, 'paragraphs');
+      assert.strictEqual(md.trace[italic].depth, 1);
+      assert.deepStrictEqual(md.trace[italic].matches.map(m => m.captures), [{ delimiter: '*', text: 'a' }, { delimiter: '*', text: 'b' }]);
+    });
+
+    test('should record positional captures for unnamed groups', () => {
+      const md = new Chastity();
+      md.register({ name: 'tag', pattern: '#(\\w+)', replacement: (match) => `<b>${match[1]}</b>` });
+      md.parse('see #news', { trace: true });
+      const [match] = md.trace.find(step => step.name === 'tag' && step.matches.length).matches;
+      assert.deepStrictEqual(match.captures, ['news']);
+      assert.strictEqual(match.index, 4);
+    });
+
+    test('should report a markdown summary', () => {
+      const md = new Chastity();
+      const report = md.debug('**a**');
+      assert.ok(report.startsWith('# Chastity Parse Trace'));
+      assert.ok(report.includes('### ') && report.includes('bold'));
+      assert.ok(report.includes('- "**a**"\n+ "<strong>a</strong>"'));
+      assert.ok(report.includes('| bold | 1 |'));
+      assert.ok(report.includes('| italic | 0 |'));
+    });
+
+    test('should color the report in terminal mode', () => {
+      const md = new Chastity();
+      md.tty = true;
+      const report = md.debug('**a**');
+      assert.ok(report.includes('\x1b[1m\x1b[34mChastity Parse Trace\x1b[0m'));
+      assert.ok(report.includes('\x1b[31m- "**a**"\x1b[0m'));
+      assert.ok(report.includes('\x1b[32m+ "<strong>a</strong>"\x1b[0m'));
+    });
+
+    test('should report the last traced parse', () => {
+      const md = new Chastity();
+      assert.throws(() => md.debug(), /Nothing traced yet/);
+      md.parse('~~x~~', { trace: true });
+      assert.ok(md.debug().includes('| strikethrough | 1 |'));
+    });
+
+    test('should mark features that ran out of time', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'slow',
+        pattern: 'x',
+        replacement: () => {
+          const until = performance.now() + 20;
+          while (performance.now() < until);
+          return 'y';
+        }
+      });
+      md.parse('x', { trace: true, timeLimit: 5, onLimit: 'skip' });
+      const step = md.trace.find(step => step.name === 'slow');
+      assert.strictEqual(step.exceeded, 'time');
+      assert.ok(md.debug().includes('**Exceeded the time limit**'));
+    });
+  });
+
+  describe('Hooks and Normalization', () => {
+    test('should parse Windows line endings', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('# Title\r\n\r\n---\r\n\r\ntext'), '<h1 id="title">Title</h1>\n\n<hr>\n\n<p>text</p>');
+      assert.strictEqual(md.parse('a\rb'), '<p>a b</p>');
+    });
+
+    test('should drop a byte order mark and trailing whitespace', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('\uFEFF# A'), '<h1 id="a">A</h1>');
+      assert.strictEqual(md.parse('---   \n\ntext \t'), '<hr>\n\n<p>text</p>');
+    });
+
+    test('should trim lines with long indentation in linear time', () => {
+      const md = new Chastity();
+      const started = performance.now();
+      assert.strictEqual(md.parse(`- a\n${' '.repeat(80000)}b`), '<ul>\n  <li>a b</li>\n</ul>');
+      assert.ok(performance.now() - started < 1000);
+    });
+
+    test('should expand tabs in indentation', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('- a\n\t- b'), md.parse('- a\n    - b'));
+      assert.strictEqual(md.parse('a\tb'), '<p>a\tb</p>');
+    });
+
+    test('should leave code block content alone', () => {
+      const md = new Chastity();
+      assert.strictEqual(md.parse('```\r\n\ta \r\n```'), '<pre><code>\ta \n</code></pre>');
+    });
+
+    test('should skip normalization when disabled', () => {
+      const md = new Chastity({ normalize: false });
+      assert.strictEqual(md.parse('\uFEFFa'), '<p>\uFEFFa</p>');
+      assert.strictEqual(new Chastity().parse('\uFEFFa', { normalize: false }), '<p>\uFEFFa</p>');
+    });
+
+    test('should run parse hooks around the whole document', () => {
+      const md = new Chastity();
+      const calls = [];
+      md.hook('beforeParse', (markdown) => {
+        calls.push(markdown);
+        return markdown.replace('World', '**World**');
+      });
+      md.hook('afterParse', (html, context) => {
+        calls.push(context.options.target);
+        return `<article>${html}</article>`;
+      });
+      md.hook('afterParse', () => {});
+      assert.strictEqual(md.parse('Hello World\r\n'), '<article><p>Hello <strong>World</strong></p>\n</article>');
+      assert.deepStrictEqual(calls, ['Hello World\n', 'html']);
+    });
+
+    test('should run feature hooks around every feature', () => {
+      const md = new Chastity();
+      const seen = [];
+      md.hook('beforeFeature', (feature, text) => {
+        if (feature.name === 'bold') seen.push(['before', text]);
+      });
+      md.hook('afterFeature', (feature, output) => {
+        if (feature.name !== 'bold') return;
+        seen.push(['after', output]);
+        return output.replace(/strong>/g, 'b>');
+      });
+      assert.strictEqual(md.parse('**a** b'), '<p><b>a</b> b</p>');
+      assert.deepStrictEqual(seen.slice(0, 2), [['before', '**a** b'], ['after', '<strong>a</strong> b']]);
+    });
+
+    test('should remove hooks and reject unknown ones', () => {
+      const md = new Chastity();
+      const shout = (html) => html.toUpperCase();
+      assert.strictEqual(md.hook('afterParse', shout), md);
+      assert.strictEqual(md.parse('a'), '<P>A</P>');
+      md.unhook('afterParse', shout);
+      assert.strictEqual(md.parse('a'), '<p>a</p>');
+      assert.throws(() => md.hook('onParse', shout), /Hook must be one of: beforeParse, afterParse/);
+    });
+
+    test('should stream Windows line endings like parse()', async () => {
+      const md = new Chastity();
+      const source = '# A\r\n\r\n```\r\n\tx\r\n\r\n```\r\n\r\n- a\r\n\t- b\r\n\r\n---  \r\n';
+      const parts = [];
+      for await (const part of md.parseStream(source.split(/(?<=\r)/))) parts.push(part);
+      assert.strictEqual(parts.join(''), md.parse(source));
+    });
+  });
+
+  describe('Async Replacements', () => {
+    const later = (value) => new Promise(done => setTimeout(() => done(value), 5));
+    const include = (files) => ({
+      name: 'include',
+      pattern: '^\\{\\{(?<path>[\\w.-]+)\\}\\}$',
+      flags: 'gm',
+      kind: 'block',
+      replacement: async ({ path }, { block }) => block(await later(files[path]))
+    });
+
+    test('should await promise-returning replacements', async () => {
+      const md = new Chastity();
+      md.register({ name: 'user', pattern: '@(?<name>\\w+)', replacement: ({ name }) => later(`<a href="/u/${name}">${name}</a>`) });
+      assert.strictEqual(await md.parseAsync('- @ann\n\n**@bob**'), '<ul>\n  <li><a href="/u/ann">ann</a></li>\n</ul>\n\n<p><strong><a href="/u/bob">bob</a></strong></p>');
+    });
+
+    test('should run the matches of a feature concurrently', async () => {
+      const md = new Chastity();
+      const events = [];
+      md.register({
+        name: 'lookup',
+        pattern: '\\$(?<key>\\w+)',
+        replacement: async ({ key }) => {
+          events.push(`start ${key}`);
+          await later();
+          events.push(`end ${key}`);
+          return key.toUpperCase();
+        }
+      });
+      assert.strictEqual(await md.parseAsync('$a $b'), '<p>A B</p>');
+      assert.deepStrictEqual(events, ['start a', 'start b', 'end a', 'end b']);
+    });
+
+    test('should parse nested async output', async () => {
+      const md = new Chastity();
+      md.register(include({ 'a.md': '# A\n\n{{b.md}}', 'b.md': 'Some *b*' }), { before: 'paragraphs' });
+      assert.strictEqual(await md.parseAsync('{{a.md}}\n\n---'), '<h1 id="a">A</h1>\n\n<p>Some <em>b</em></p>\n\n<hr>');
+    });
+
+    test('should fail when output includes itself', async () => {
+      const md = new Chastity();
+      md.register(include({ 'a.md': '{{b.md}}', 'b.md': 'B\n\n{{a.md}}' }), { before: 'paragraphs' });
+      await assert.rejects(md.parseAsync('{{a.md}}'), { message: "Feature 'include' includes itself: {{a.md}} → {{b.md}} → {{a.md}}" });
+    });
+
+    test('should limit the nesting depth', async () => {
+      const md = new Chastity({ depthLimit: 3 });
+      md.register({
+        name: 'deeper',
+        pattern: '^deeper (?<n>\\d+)$',
+        flags: 'gm',
+        kind: 'block',
+        replacement: async ({ n }, { block }) => block(await later(`deeper ${Number(n) + 1}`))
+      }, { before: 'paragraphs' });
+      await assert.rejects(md.parseAsync('deeper 1'), { message: "Feature 'deeper' exceeded the depth limit of 3 levels" });
+      assert.strictEqual(await md.parseAsync('deeper 1', { onLimit: 'skip' }), 'deeper 4');
+      assert.deepStrictEqual(md.exceeded, [{ name: 'deeper', limit: 'depth' }]);
+    });
+
+    test('should reject with the error of a failed replacement', async () => {
+      const md = new Chastity();
+      md.register({ name: 'fail', pattern: '!fail', replacement: async () => { throw new Error('lookup failed'); } });
+      await assert.rejects(md.parseAsync('a !fail'), { message: 'lookup failed' });
+    });
+
+    test('should require parseAsync() for promises', () => {
+      const md = new Chastity();
+      md.register({ name: 'user', pattern: '@\\w+', replacement: () => later('x') });
+      assert.throws(() => md.parse('@ann'), { message: "Feature 'user' returned a promise, use parseAsync()" });
+      assert.strictEqual(md.parse('no users'), '<p>no users</p>');
+    });
+
+    test('should not leave a rejected promise unhandled outside parseAsync()', async () => {
+      const unhandled = [];
+      const record = (reason) => unhandled.push(reason);
+      process.on('unhandledRejection', record);
+      try {
+        const md = new Chastity();
+        md.register({ name: 'bad', pattern: 'x', replacement: async () => { throw new Error('boom'); } });
+        assert.throws(() => md.parse('x'), /use parseAsync\(\)/);
+        await assert.rejects(async () => { for await (const html of md.parseStream(['x'])) html; }, /use parseAsync\(\)/);
+        await later();
+      } finally {
+        process.off('unhandledRejection', record);
+      }
+      assert.deepStrictEqual(unhandled, []);
+    });
+  });
+
+  describe('Transclusion', () => {
+    const files = {
+      'intro.md': '# Intro\n\nHello **there**.',
+      'guide.md': '---\ntitle: Guide\n---\n# Guide\n\n## Install {#setup}\n\nRun it.\n\n```\n# not a header\n```\n\n### Windows\n\nAlso.\n\n## Usage\n\nUse it.',
+      'a.md': 'A\n\n{{include: b.md}}',
+      'b.md': 'B\n\n{{include: a.md}}'
+    };
+    const resolve = (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    };
+
+    test('should be opt-in', () => {
+      assert.ok(!new Chastity().list().includes('transclude'));
+      assert.strictEqual(new Chastity().parse('{{include: intro.md}}'), '<p>{{include: intro.md}}</p>');
+      assert.ok(new Chastity({ transclude: { resolve } }).list().includes('transclude'));
+    });
+
+    test('should include a file in place', () => {
+      const md = new Chastity({ transclude: { resolve } });
+      assert.strictEqual(md.parse('Before\n\n{{include: intro.md}}\n\nAfter'), '<p>Before</p>\n\n<h1 id="intro">Intro</h1>\n\n<p>Hello <strong>there</strong>.</p>\n\n<p>After</p>');
+      assert.deepStrictEqual(md.headings, [{ level: 1, text: 'Intro', id: 'intro' }]);
+    });
+
+    test('should include one section of a file', () => {
+      const md = new Chastity({ transclude: { resolve } });
+      assert.strictEqual(md.parse('{{include: guide.md#setup}}'), '<h2 id="setup">Install</h2>\n\n<p>Run it.</p>\n\n<pre><code># not a header\n</code></pre>\n\n<h3 id="windows">Windows</h3>\n\n<p>Also.</p>');
+      assert.strictEqual(md.parse('{{include: guide.md#usage}}'), '<h2 id="usage">Usage</h2>\n\n<p>Use it.</p>');
+    });
+
+    test('should only match child paths to .md files', () => {
+      const md = new Chastity({ transclude: { resolve } });
+      for (const path of ['../secret.md', '/etc/passwd.md', 'notes.txt', 'a/../b.md']) {
+        assert.strictEqual(md.parse(`{{include: ${path}}}`), `<p>{{include: ${path}}}</p>`);
+      }
+    });
+
+    test('should render an error for a failed include', () => {
+      const md = new Chastity({ transclude: { resolve } });
+      assert.strictEqual(md.parse('{{include: missing.md}}'), '<span class="error">Could not include missing.md</span>');
+      assert.strictEqual(md.parse('{{include: guide.md#nope}}'), '<span class="error">Could not include guide.md#nope: no section has the id &#39;nope&#39;</span>');
+      assert.strictEqual(md.parse('{{include: missing.md}}', { target: 'text' }), 'Could not include missing.md');
+    });
+
+    test('should stop at a cycle', () => {
+      const md = new Chastity({ transclude: { resolve } });
+      assert.strictEqual(md.parse('{{include: a.md}}'), '<p>A</p>\n\n<p>B</p>\n\n<span class="error">Could not include a.md: it includes itself (a.md → b.md → a.md)</span>');
+    });
+
+    test('should stop at the depth limit', () => {
+      const md = new Chastity({ transclude: { resolve: (path) => `{{include: ${path.replace('.md', 'x.md')}}}` }, depthLimit: 2 });
+      assert.strictEqual(md.parse('{{include: a.md}}'), '<span class="error">Could not include axx.md: includes nest more than 2 levels deep</span>');
+    });
+
+    test('should await an async resolver', async () => {
+      const md = new Chastity({ transclude: { resolve: async (path) => resolve(path) } });
+      assert.strictEqual(await md.parseAsync('{{include: a.md}}', { target: 'text' }), 'A\n\nB\n\nCould not include a.md: it includes itself (a.md → b.md → a.md)');
+    });
+
+    test('should read files below the root by default', async () => {
+      const root = await mkdtemp(join(tmpdir(), 'chastity-'));
+      try {
+        await mkdir(join(root, 'parts'));
+        await writeFile(join(root, 'parts/one.md'), '*one*\r\n\r\n{{include: parts/two.md}}');
+        await writeFile(join(root, 'parts/two.md'), '<b>two</b>');
+        const md = new Chastity({ transclude: { root }, safe: true });
+        assert.strictEqual(await md.parseAsync('{{include: parts/one.md}}'), '<p><em>one</em></p>\n\n<p>&lt;b>two&lt;/b></p>');
+      } finally {
+        await rm(root, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Presets and Bundles', () => {
+    test('should start from a preset', () => {
+      const chat = new Chastity({ preset: 'minimal' });
+      assert.deepStrictEqual(chat.list(), ['inline-code', 'escapes', 'links', 'bold', 'italic', 'strikethrough']);
+      assert.strictEqual(chat.parse('# **hi** `x`'), '# <strong>hi</strong> <code>x</code>');
+
+      const comments = new Chastity({ preset: 'comments' });
+      assert.ok(!comments.list().includes('images'));
+      assert.ok(!comments.list().includes('headers'));
+      assert.strictEqual(comments.parse('![a](b.png) ![c](https://x.com/c.png) [d](e)'), '<p>![a](b.png) ![c](https://x.com/c.png) <a href="e">d</a></p>');
+
+      const gfm = new Chastity({ preset: 'gfm' }).list();
+      assert.ok(gfm.includes('tables') && gfm.includes('task-list'));
+      assert.ok(!gfm.includes('toc') && !new Chastity({ preset: 'commonmark' }).list().includes('tables'));
+    });
+
+    test('should pick features by name', () => {
+      assert.deepStrictEqual(new Chastity({ features: ['italic', 'bold'] }).list(), ['bold', 'italic']);
+      assert.deepStrictEqual(new Chastity({ preset: 'minimal', features: ['headers'] }).list()[0], 'headers');
+      const md = new Chastity({ preset: 'gfm', exclude: ['images', 'tables'] });
+      assert.ok(!md.list().includes('images') && !md.list().includes('tables'));
+      assert.ok(md.list().includes('links'));
+    });
+
+    test('should reject unknown presets and features', () => {
+      assert.throws(() => new Chastity({ preset: 'tiny' }), /Preset must be one of: full, commonmark, gfm, minimal, comments/);
+      assert.throws(() => new Chastity({ features: ['blod'] }), /Feature 'blod' not found/);
+      assert.throws(() => new Chastity({ exclude: ['blod'] }), /Feature 'blod' not found/);
+    });
+
+    test('should use bundles of features', () => {
+      const mark = { name: 'mark', pattern: '==(?<text>[^=]+)==', replacement: ({ text }) => `<mark>${text}</mark>` };
+      const kbd = { name: 'kbd', pattern: '\\[\\[(?<key>\\w+)\\]\\]', replacement: ({ key }) => `<kbd>${key}</kbd>`, before: 'links' };
+      const shout = (md) => md.hook('afterParse', html => html.toUpperCase());
+      const md = new Chastity({ preset: 'minimal' });
+      assert.strictEqual(md.use([mark, [kbd, shout]]), md);
+      assert.strictEqual(md.parse('==a== [[b]]'), '<MARK>A</MARK> <KBD>B</KBD>');
+      assert.ok(md.list().indexOf('kbd') < md.list().indexOf('links'));
+      assert.strictEqual(new Chastity().use(mark).parse('==x=='), '<p><mark>x</mark></p>');
+    });
+
+    test('should fork an independent copy', () => {
+      const md = new Chastity();
+      md.unregister('images');
+      md.hook('afterParse', html => `[${html}]`);
+      const fork = md.fork({ safe: true });
+      fork.unregister('strikethrough');
+      fork.move('italic', { priority: -1 });
+      fork.hook('afterParse', html => html.trim());
+
+      const others = (name) => name !== 'strikethrough' && name !== 'italic';
+      assert.deepStrictEqual(fork.list().filter(others), md.list().filter(others));
+      assert.strictEqual(md.parse('~~<b>~~'), '[<p><del><b></del></p>]');
+      assert.strictEqual(fork.parse('~~<b>~~'), '[<p>~~&lt;b>~~</p>]');
+      assert.ok(md.list().includes('strikethrough'));
+      assert.notStrictEqual(md.transforms.get('italic').priority, -1);
+      assert.strictEqual(md.hooks.afterParse.length, 1);
+    });
+
+    test('should choose the features of a fork from its options', () => {
+      const md = new Chastity();
+      assert.deepStrictEqual(md.fork({ preset: 'minimal' }).list(), new Chastity({ preset: 'minimal' }).list());
+      assert.ok(!md.fork({ exclude: ['images'] }).list().includes('images'));
+      assert.strictEqual(md.fork({ autolinks: { mentions: '/u/{user}' } }).parse('hi @bob'), '<p>hi <a href="/u/bob">@bob</a></p>');
+      assert.strictEqual(md.parse('hi @bob'), '<p>hi @bob</p>');
+      const transclude = { resolve: (path) => `*${path}*` };
+      assert.strictEqual(md.fork({ transclude }).parse('{{include: a.md}}'), '<p><em>a.md</em></p>');
+      assert.ok(!md.list().includes('transclude'));
+    });
+
+    test('should carry features changed after construction into a fork', () => {
+      const md = new Chastity({ preset: 'gfm' });
+      md.register({ name: 'mark', pattern: '==(?<text>[^=]+)==', replacement: ({ text }) => `<mark>${text}</mark>` }, { before: 'bold' });
+      md.move('italic', { before: 'inline-code' });
+      md.unregister('strikethrough');
+      md.unregister('tables');
+
+      const fork = md.fork({ preset: 'commonmark' });
+      const commonmark = new Chastity({ preset: 'commonmark' }).list().filter(name => name !== 'strikethrough');
+      assert.deepStrictEqual(fork.list().filter(name => name !== 'mark' && name !== 'italic'), commonmark.filter(name => name !== 'italic'));
+      assert.deepStrictEqual(fork.list().filter(name => ['inline-code', 'italic', 'mark', 'bold'].includes(name)), ['italic', 'inline-code', 'mark', 'bold']);
+      assert.strictEqual(fork.parse('==a== ~~b~~'), '<p><mark>a</mark> ~~b~~</p>');
+      assert.ok(!md.fork({ preset: 'gfm' }).list().includes('tables'));
+      assert.ok(md.fork().fork().list().includes('mark'));
+    });
+  });
+
+  describe('API - register()', () => {
+    test('should register custom feature', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'highlight',
+        description: 'Highlight text',
+        usage: '==text==',
+        pattern: '==(?<text>[^=]+)==',
+        flags: 'g',
+        replacement: ({ text }) => `<mark>${text}</mark>`
+      });
+
+      const html = md.parse('This is ==highlighted== text');
+      assert.ok(html.includes('<mark>highlighted</mark>'));
+    });
+
+    test('should replace existing feature', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'bold',
+        description: 'Custom bold',
+        usage: '**text**',
+        pattern: '\\*\\*(?<text>[^*]+)\\*\\*',
+        flags: 'g',
+        replacement: ({ text }) => `<b>${text}</b>`
+      });
+
+      const html = md.parse('**bold**');
+      assert.ok(html.includes('<b>bold</b>'));
+      assert.ok(!html.includes('<strong>'));
+    });
+
+    test('should leave a match as written when the replacement returns null', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'shout',
+        kind: 'block',
+        pattern: '^!(?<text>.+)$',
+        flags: 'gm',
+        replacement: ({ text }) => text === 'skip' ? null : `<h1>${text}</h1>`
+      }, { before: 'paragraphs' });
+      assert.strictEqual(md.parse('!hi\n\n!skip'), '<h1>hi</h1>\n\n<p>!skip</p>');
+    });
+
+    test('should throw error if feature missing required properties', () => {
+      const md = new Chastity();
+      assert.throws(() => {
+        md.register({ name: 'test' });
+      }, /Feature must have name, pattern, and replacement/);
+    });
+
+    test('should chain register calls', () => {
+      const md = new Chastity();
+      const result = md.register({
+        name: 'test',
         description: 'Test',
         usage: 'test',
         pattern: 'test',
@@ -241,6 +1898,180 @@ describe('Chastity Markdown Parser', () => {
     });
   });
 
+  describe('Block and Inline Features', () => {
+    const highlight = {
+      name: 'highlight',
+      description: 'Highlight text',
+      usage: '==text==',
+      pattern: '==(?<text>[^=]+)==',
+      flags: 'g',
+      replacement: ({ text }) => `<mark>${text}</mark>`
+    };
+
+    test('should default custom features to inline', () => {
+      const md = new Chastity();
+      md.register(highlight);
+      assert.strictEqual(md.transforms.get('highlight').kind, 'inline');
+    });
+
+    test('should reject unknown kinds', () => {
+      const md = new Chastity();
+      assert.throws(() => md.register({ ...highlight, kind: 'span' }), /Feature kind must be one of: block, inline/);
+    });
+
+    test('should list block features before inline features', () => {
+      const md = new Chastity();
+      const kinds = md.list().map(name => md.transforms.get(name).kind);
+      assert.strictEqual(kinds.lastIndexOf('block'), kinds.indexOf('inline') - 1);
+    });
+
+    test('should apply custom inline features inside block content', () => {
+      const md = new Chastity();
+      md.register(highlight);
+      const html = md.parse('# A ==head==\n\n- an ==item==\n\n1. a ==step==\n\n> a ==quote==');
+      assert.ok(html.includes('<h1 id="a-head">A <mark>head</mark></h1>'));
+      assert.ok(html.includes('<li>an <mark>item</mark></li>'));
+      assert.ok(html.includes('<li>a <mark>step</mark></li>'));
+      assert.ok(html.includes('<blockquote>a <mark>quote</mark></blockquote>'));
+    });
+
+    test('should wrap text directly after a header in a paragraph', () => {
+      const md = new Chastity();
+      const html = md.parse('# Title\nSome **text**');
+      assert.ok(html.includes('<h1 id="title">Title</h1>'));
+      assert.ok(html.includes('<p>Some <strong>text</strong></p>'));
+    });
+
+    test('should wrap text directly after a list in a paragraph', () => {
+      const md = new Chastity();
+      const html = md.parse('- one\n- two\nAfter');
+      assert.ok(html.includes('</ul>\n<p>After</p>'));
+    });
+
+    test('should wrap paragraphs that start with inline markup', () => {
+      const md = new Chastity();
+      const html = md.parse('`code` first');
+      assert.ok(html.includes('<p><code>code</code> first</p>'));
+    });
+
+    test('should leave raw HTML blocks unwrapped', () => {
+      const md = new Chastity();
+      const html = md.parse('<div>raw</div>');
+      assert.strictEqual(html, '<div>raw</div>');
+    });
+
+    test('should pass inline helper to custom block features', () => {
+      const md = new Chastity();
+      md.register({
+        name: 'aside',
+        description: 'Aside lines starting with !>',
+        usage: '!> note',
+        pattern: '^!>\\s+(?<text>.+)$',
+        flags: 'gm',
+        kind: 'block',
+        replacement: ({ text }, { inline }) => `<aside>${inline(text)}</aside>`
+      }, { before: 'paragraphs' });
+
+      const html = md.parse('!> a **bold** note');
+      assert.strictEqual(html, '<aside>a <strong>bold</strong> note</aside>');
+    });
+
+    test('should apply inline features when paragraphs is unregistered', () => {
+      const md = new Chastity();
+      md.unregister('paragraphs');
+      assert.strictEqual(md.parse('some **bold**'), 'some <strong>bold</strong>');
+    });
+  });
+
+  describe('API - ordering', () => {
+    const feature = (name, kind = 'inline') => ({
+      name,
+      kind,
+      description: name,
+      usage: name,
+      pattern: name,
+      flags: 'g',
+      replacement: () => name.toUpperCase()
+    });
+
+    test('should append new features after the built-ins', () => {
+      const md = new Chastity();
+      md.register(feature('custom'));
+      const list = md.list();
+      assert.strictEqual(list[list.length - 1], 'custom');
+    });
+
+    test('should place feature before another feature', () => {
+      const md = new Chastity();
+      md.register(feature('custom'), { before: 'bold' });
+      const list = md.list();
+      assert.strictEqual(list.indexOf('custom'), list.indexOf('bold') - 1);
+    });
+
+    test('should place feature after another feature', () => {
+      const md = new Chastity();
+      md.register(feature('custom', 'block'), { after: 'code-blocks' });
+      assert.strictEqual(md.list()[1], 'custom');
+    });
+
+    test('should read placement from the feature itself', () => {
+      const md = new Chastity();
+      md.register({ ...feature('custom', 'block'), before: 'code-blocks' });
+      assert.strictEqual(md.list()[0], 'custom');
+    });
+
+    test('should order by numeric priority', () => {
+      const md = new Chastity();
+      md.register(feature('first', 'block'), { priority: -1 });
+      md.register(feature('second', 'block'), { priority: 0 });
+      assert.deepStrictEqual(md.list().slice(0, 2), ['first', 'second']);
+    });
+
+    test('should keep the slot of a re-registered feature', () => {
+      const md = new Chastity();
+      const before = md.list();
+      md.register({ ...feature('bold'), pattern: 'x' });
+      assert.deepStrictEqual(md.list(), before);
+    });
+
+    test('should move an existing feature', () => {
+      const md = new Chastity();
+      md.move('paragraphs', { before: 'code-blocks' });
+      assert.strictEqual(md.list()[0], 'paragraphs');
+      md.move('paragraphs', { after: 'code-blocks' });
+      assert.strictEqual(md.list()[1], 'paragraphs');
+    });
+
+    test('should run features in the effective order', () => {
+      const md = new Chastity();
+      md.register({ ...feature('late'), pattern: 'bold', replacement: () => 'late' });
+      md.register({ ...feature('early'), pattern: 'bold', replacement: () => 'early' }, { before: 'late' });
+      assert.ok(md.parse('bold').includes('early'));
+    });
+
+    test('should throw for unknown anchor or feature', () => {
+      const md = new Chastity();
+      assert.throws(() => md.register(feature('custom'), { before: 'missing' }), /Feature 'missing' not found/);
+      assert.throws(() => md.move('missing', { priority: 1 }), /Feature 'missing' not found/);
+    });
+
+    test('should throw when placing relative to a feature of another kind', () => {
+      const md = new Chastity();
+      assert.throws(
+        () => md.register(feature('custom'), { before: 'paragraphs' }),
+        /Cannot place inline feature 'custom' relative to block feature 'paragraphs'/
+      );
+    });
+
+    test('should report execution order in help()', () => {
+      const md = new Chastity();
+      md.move('paragraphs', { before: 'code-blocks' });
+      const help = md.help();
+      assert.ok(help.includes('### 1. paragraphs'));
+      assert.ok(md.help('paragraphs').includes('**Order:** 1 of'));
+    });
+  });
+
   describe('API - unregister()', () => {
     test('should unregister feature', () => {
       const md = new Chastity();
@@ -321,7 +2152,7 @@ describe('Chastity Markdown Parser', () => {
     test('should parse README quick start example', () => {
       const md = new Chastity();
       const html = md.parse('# Hello World\n\nThis is **bold** and *italic*.');
-      assert.ok(html.includes('<h1>Hello World</h1>'));
+      assert.ok(html.includes('<h1 id="hello-world">Hello World</h1>'));
       assert.ok(html.includes('<strong>bold</strong>'));
       assert.ok(html.includes('<em>italic</em>'));
     });
@@ -346,7 +2177,7 @@ const x = 42;
 ---`;
 
       const html = md.parse(markdown);
-      assert.ok(html.includes('<h1>Title</h1>'));
+      assert.ok(html.includes('<h1 id="title">Title</h1>'));
       assert.ok(html.includes('<a href="https://example.com">link</a>'));
       assert.ok(html.includes('<img src="logo.png" alt="Logo">'));
       assert.ok(html.includes('const x = 42;'));